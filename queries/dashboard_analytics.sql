@@ -7,7 +7,21 @@
 --
 -- 🎯 TABLE STRUCTURE:
 -- - Transfer tables: erc20_transfers_{chainId} 
--- - Metadata tables: token_metadata_{chainId}
+--   (WETH Deposit/Withdrawal are mint/burn rows, see source_event)
+-- - Normalized transfers: erc20_transfers_normalized_{chainId} (view adding
+--   amount = value / 10^decimals; decimals and amount are NULL and
+--   decimals_known false for tokens without metadata)
+-- - Balance tables: erc20_balances_{chainId} (signed deltas per contract_address/holder_address,
+--   kept by a materialized view; read with SUM(balance) ... GROUP BY, the zero address is -supply)
+-- - Approval tables: erc20_approvals_{chainId} (latest Approval = allowance)
+-- - NFT tables: erc721_transfers_{chainId}, erc1155_transfers_{chainId}
+-- - Block tables: blocks_{chainId} (block_timestamp on transfers comes from here)
+-- - Quarantine tables: malformed_logs_{chainId} (token event logs that did not decode)
+-- - Metadata: token_metadata (all chains, chain_id column), viewed per chain as token_metadata_{chainId}
+-- - Canonical registry: canonical_tokens (asset_id -> chain_id, contract_address, decimals)
+-- - Risk labels: token_risk (canonical / spoof / impersonation / lookalike / unverified / none)
+-- - DEX pools (collect --prices): dex_swaps_{chainId}, dex_syncs_{chainId}, dex_pools (token0/token1)
+-- - USD prices: token_price_candles (build-prices; minute/hour OHLC per token, read with FINAL)
 -- - ORDER BY (contract_address, block_number, log_index) → Fast + chronological
 -- - PARTITION BY toDate(block_timestamp) → Daily partitions across all chains
 --
@@ -26,10 +40,12 @@ SELECT
     COUNT(DISTINCT contract_address) as unique_tokens,
     COUNT(DISTINCT from_address) as unique_senders,
     COUNT(DISTINCT to_address) as unique_receivers,
-    SUM(value) as total_volume,
+    SUM(amount) as total_volume,
+    countIf(NOT decimals_known) as transfers_unknown_decimals,
+    uniqExactIf(contract_address, NOT decimals_known) as tokens_unknown_decimals,
     MIN(block_timestamp) as earliest_activity,
     MAX(block_timestamp) as latest_activity
-FROM token_intelligence.erc20_transfers_130
+FROM token_intelligence.erc20_transfers_normalized_130
 LIMIT 1;
 
 -- Top 20 most active tokens
@@ -40,8 +56,8 @@ SELECT
     COUNT() as transfer_count,
     COUNT(DISTINCT t.from_address) as unique_senders,
     COUNT(DISTINCT t.to_address) as unique_receivers,
-    SUM(t.value) as total_volume
-FROM token_intelligence.erc20_transfers_130 t
+    SUM(t.amount) as total_volume
+FROM token_intelligence.erc20_transfers_normalized_130 t
 LEFT JOIN token_intelligence.token_metadata_130 m ON t.contract_address = m.contract_address
 GROUP BY t.contract_address, m.name, m.symbol
 ORDER BY transfer_count DESC
@@ -94,8 +110,8 @@ SELECT
     m.symbol,
     COUNT() as recent_transfers,
     COUNT(DISTINCT t.from_address) as recent_users,
-    SUM(t.value) as recent_volume
-FROM token_intelligence.erc20_transfers_130 t
+    SUM(t.amount) as recent_volume
+FROM token_intelligence.erc20_transfers_normalized_130 t
 LEFT JOIN token_intelligence.token_metadata_130 m ON t.contract_address = m.contract_address
 WHERE t.block_timestamp >= now() - INTERVAL 7 DAY
 GROUP BY t.contract_address, m.name, m.symbol
@@ -111,26 +127,39 @@ SELECT
     t.contract_address,
     m.name,
     m.symbol,
-    m.decimals,
+    t.decimals,
     COUNT() as transfer_count,
-    SUM(t.value) as total_volume,
-    AVG(t.value) as avg_transfer_size,
-    MAX(t.value) as largest_transfer
-FROM token_intelligence.erc20_transfers_130 t
+    SUM(t.amount) as total_volume,
+    AVG(t.amount) as avg_transfer_size,
+    MAX(t.amount) as largest_transfer
+FROM token_intelligence.erc20_transfers_normalized_130 t
 LEFT JOIN token_intelligence.token_metadata_130 m ON t.contract_address = m.contract_address
-GROUP BY t.contract_address, m.name, m.symbol, m.decimals
+WHERE t.decimals_known
+GROUP BY t.contract_address, m.name, m.symbol, t.decimals
 ORDER BY total_volume DESC
 LIMIT 20;
 
+-- Most active tokens without known decimals (run resolve-metadata to fill them in)
+SELECT 
+    contract_address,
+    COUNT() as transfer_count,
+    MIN(block_timestamp) as first_transfer,
+    MAX(block_timestamp) as last_transfer
+FROM token_intelligence.erc20_transfers_normalized_130
+WHERE NOT decimals_known
+GROUP BY contract_address
+ORDER BY transfer_count DESC
+LIMIT 20;
+
 -- Transfer size distribution by token
 SELECT 
     t.contract_address,
     m.symbol,
     COUNT() as transfers,
-    quantile(0.5)(t.value) as median_transfer,
-    quantile(0.9)(t.value) as p90_transfer,
-    quantile(0.99)(t.value) as p99_transfer
-FROM token_intelligence.erc20_transfers_130 t
+    quantile(0.5)(t.amount) as median_transfer,
+    quantile(0.9)(t.amount) as p90_transfer,
+    quantile(0.99)(t.amount) as p99_transfer
+FROM token_intelligence.erc20_transfers_normalized_130 t
 LEFT JOIN token_intelligence.token_metadata_130 m ON t.contract_address = m.contract_address
 GROUP BY t.contract_address, m.symbol
 HAVING transfers > 1000
@@ -154,6 +183,77 @@ WHERE t.value > (
 ORDER BY t.value DESC
 LIMIT 50;
 
+-- ==========================================
+-- 💵 USD VALUE (needs token_price_candles, see build-prices)
+-- ==========================================
+
+-- Token volume in USD (last 7 days, at the hourly close before each transfer)
+SELECT 
+    t.contract_address,
+    m.symbol,
+    COUNT() as transfers,
+    SUM(t.amount * p.close) as volume_usd,
+    countIf(p.close = 0) as transfers_unpriced
+FROM token_intelligence.erc20_transfers_normalized_130 t
+LEFT JOIN token_intelligence.token_metadata_130 m ON t.contract_address = m.contract_address
+ASOF LEFT JOIN (
+    SELECT token_address, bucket + INTERVAL 1 HOUR as closed_at, close
+    FROM token_intelligence.token_price_candles FINAL
+    WHERE chain_id = 130 AND interval = 'hour'
+) p ON t.contract_address = p.token_address AND t.block_timestamp >= p.closed_at
+WHERE t.block_timestamp >= now() - INTERVAL 7 DAY
+  AND t.decimals_known
+GROUP BY t.contract_address, m.symbol
+ORDER BY volume_usd DESC
+LIMIT 20;
+
+-- Whale transfers in USD (over $100k at the hourly close before each transfer)
+SELECT 
+    t.contract_address,
+    m.symbol,
+    t.from_address,
+    t.to_address,
+    t.amount,
+    t.amount * p.close as value_usd,
+    t.block_timestamp
+FROM token_intelligence.erc20_transfers_normalized_130 t
+LEFT JOIN token_intelligence.token_metadata_130 m ON t.contract_address = m.contract_address
+ASOF LEFT JOIN (
+    SELECT token_address, bucket + INTERVAL 1 HOUR as closed_at, close
+    FROM token_intelligence.token_price_candles FINAL
+    WHERE chain_id = 130 AND interval = 'hour'
+) p ON t.contract_address = p.token_address AND t.block_timestamp >= p.closed_at
+WHERE t.decimals_known
+  AND t.amount * p.close > 100000
+ORDER BY value_usd DESC
+LIMIT 50;
+
+-- Wallet portfolio value in USD (example address, tokens with known decimals at the latest hourly close)
+SELECT 
+    b.contract_address,
+    m.symbol,
+    toFloat64(b.balance) / pow(10, m.decimals) as amount,
+    p.close as price_usd,
+    amount * p.close as value_usd
+FROM (
+    SELECT 
+        contract_address,
+        SUM(balance) as balance
+    FROM token_intelligence.erc20_balances_130
+    WHERE holder_address = '0x65081cb48d74a32e9ccfed75164b8c09972dbcf1'
+    GROUP BY contract_address
+    HAVING balance > 0
+) b
+JOIN token_intelligence.token_metadata_130 m ON b.contract_address = m.contract_address
+LEFT JOIN (
+    SELECT token_address, argMax(close, bucket) as close
+    FROM token_intelligence.token_price_candles FINAL
+    WHERE chain_id = 130 AND interval = 'hour'
+    GROUP BY token_address
+) p ON b.contract_address = p.token_address
+ORDER BY value_usd DESC
+LIMIT 50;
+
 -- ==========================================
 -- 👥 USER BEHAVIOR ANALYTICS
 -- ==========================================
@@ -214,25 +314,17 @@ LIMIT 30;
 
 -- Token holder distribution (example: WETH)
 SELECT 
-    address as holder_address,
+    holder_address,
     balance,
     toFloat64(balance) * 100.0 / toFloat64(SUM(balance) OVER ()) as percentage_of_supply
 FROM (
     SELECT 
-        address,
-        SUM(received) - SUM(sent) as balance
-    FROM (
-        SELECT to_address as address, value as received, 0 as sent
-        FROM token_intelligence.erc20_transfers_130
-        WHERE contract_address = '0x4200000000000000000000000000000000000006'
-          AND to_address != '0x0000000000000000000000000000000000000000'
-        UNION ALL
-        SELECT from_address as address, 0 as received, value as sent
-        FROM token_intelligence.erc20_transfers_130
-        WHERE contract_address = '0x4200000000000000000000000000000000000006'
-          AND from_address != '0x0000000000000000000000000000000000000000'
-    )
-    GROUP BY address
+        holder_address,
+        SUM(balance) as balance
+    FROM token_intelligence.erc20_balances_130
+    WHERE contract_address = '0x4200000000000000000000000000000000000006'
+      AND holder_address != '0x0000000000000000000000000000000000000000'
+    GROUP BY holder_address
     HAVING balance > 0
 )
 ORDER BY balance DESC
@@ -240,25 +332,104 @@ LIMIT 100;
 
 -- User portfolio (example address)
 SELECT 
-    t.contract_address,
+    b.contract_address,
     m.name,
     m.symbol,
-    SUM(received) - SUM(sent) as balance
+    b.balance
 FROM (
-    SELECT contract_address, value as received, 0 as sent
-    FROM token_intelligence.erc20_transfers_130
-    WHERE to_address = '0x65081cb48d74a32e9ccfed75164b8c09972dbcf1'
-    UNION ALL
-    SELECT contract_address, 0 as received, value as sent
-    FROM token_intelligence.erc20_transfers_130
-    WHERE from_address = '0x65081cb48d74a32e9ccfed75164b8c09972dbcf1'
-) t
-LEFT JOIN token_intelligence.token_metadata_130 m ON t.contract_address = m.contract_address
-GROUP BY t.contract_address, m.name, m.symbol
-HAVING balance > 0
-ORDER BY balance DESC
+    SELECT 
+        contract_address,
+        SUM(balance) as balance
+    FROM token_intelligence.erc20_balances_130
+    WHERE holder_address = '0x65081cb48d74a32e9ccfed75164b8c09972dbcf1'
+    GROUP BY contract_address
+    HAVING balance > 0
+) b
+LEFT JOIN token_intelligence.token_metadata_130 m ON b.contract_address = m.contract_address
+ORDER BY b.balance DESC
+LIMIT 50;
+
+-- ==========================================
+-- 🔐 APPROVALS & ALLOWANCES
+-- ==========================================
+
+-- Current allowances per owner and spender
+SELECT 
+    a.contract_address,
+    m.symbol,
+    a.owner_address,
+    a.spender_address,
+    a.allowance,
+    a.last_approved_at
+FROM (
+    SELECT 
+        contract_address,
+        owner_address,
+        spender_address,
+        argMax(value, (block_number, log_index)) as allowance,
+        MAX(block_timestamp) as last_approved_at
+    FROM token_intelligence.erc20_approvals_130
+    GROUP BY contract_address, owner_address, spender_address
+    HAVING allowance > 0
+) a
+LEFT JOIN token_intelligence.token_metadata_130 m ON a.contract_address = m.contract_address
+ORDER BY a.last_approved_at DESC
+LIMIT 100;
+
+-- Outstanding allowances of one owner (example address)
+SELECT 
+    a.contract_address,
+    m.symbol,
+    a.spender_address,
+    a.allowance,
+    a.allowance >= toUInt256('340282366920938463463374607431768211456') as is_unlimited
+FROM (
+    SELECT 
+        contract_address,
+        spender_address,
+        argMax(value, (block_number, log_index)) as allowance
+    FROM token_intelligence.erc20_approvals_130
+    WHERE owner_address = '0x65081cb48d74a32e9ccfed75164b8c09972dbcf1'
+    GROUP BY contract_address, spender_address
+    HAVING allowance > 0
+) a
+LEFT JOIN token_intelligence.token_metadata_130 m ON a.contract_address = m.contract_address
+ORDER BY is_unlimited DESC, a.allowance DESC
 LIMIT 50;
 
+-- Spenders holding the most unlimited approvals
+SELECT 
+    spender_address,
+    COUNT() as unlimited_approvals,
+    COUNT(DISTINCT owner_address) as owners,
+    COUNT(DISTINCT contract_address) as tokens
+FROM (
+    SELECT 
+        contract_address,
+        owner_address,
+        spender_address,
+        argMax(value, (block_number, log_index)) as allowance
+    FROM token_intelligence.erc20_approvals_130
+    GROUP BY contract_address, owner_address, spender_address
+)
+WHERE allowance >= toUInt256('340282366920938463463374607431768211456')
+GROUP BY spender_address
+ORDER BY unlimited_approvals DESC
+LIMIT 25;
+
+-- Approval revocations by spender (last 30 days)
+SELECT 
+    spender_address,
+    COUNT() as revocations,
+    COUNT(DISTINCT owner_address) as revoking_owners,
+    MAX(block_timestamp) as last_revocation
+FROM token_intelligence.erc20_approvals_130
+WHERE value = 0
+  AND block_timestamp >= now() - INTERVAL 30 DAY
+GROUP BY spender_address
+ORDER BY revocations DESC
+LIMIT 25;
+
 -- ==========================================
 -- 📈 GROWTH & TRENDS
 -- ==========================================
@@ -332,17 +503,53 @@ SELECT
     MAX(block_timestamp) as latest_activity
 FROM token_intelligence.erc20_transfers_130;
 
+-- Chain ecosystem overview (every collected chain)
+SELECT 
+    toUInt64(extract(_table, '[0-9]+$')) as chain_id,
+    COUNT() as total_transfers,
+    COUNT(DISTINCT contract_address) as unique_tokens,
+    COUNT(DISTINCT from_address) as unique_senders,
+    MIN(block_timestamp) as earliest_activity,
+    MAX(block_timestamp) as latest_activity
+FROM merge('token_intelligence', '^erc20_transfers_[0-9]+$')
+GROUP BY chain_id
+ORDER BY total_transfers DESC;
+
+-- Canonical asset activity across chains (last 30 days)
+SELECT 
+    r.asset_id,
+    r.chain_id,
+    COUNT() as transfers,
+    SUM(toFloat64(t.value)) / pow(10, any(r.decimals)) as volume,
+    COUNT(DISTINCT t.from_address) as unique_senders
+FROM (
+    SELECT toUInt64(extract(_table, '[0-9]+$')) as chain_id, contract_address, value, from_address
+    FROM merge('token_intelligence', '^erc20_transfers_[0-9]+$')
+    WHERE block_timestamp >= now() - INTERVAL 30 DAY
+      AND contract_address IN (SELECT contract_address FROM token_intelligence.canonical_tokens)
+) t
+JOIN token_intelligence.canonical_tokens r
+    ON r.chain_id = t.chain_id AND r.contract_address = t.contract_address
+GROUP BY r.asset_id, r.chain_id
+ORDER BY r.asset_id, volume DESC;
+
 -- USDC-like tokens on Unichain
 SELECT 
     'Unichain' as chain_name,
-    contract_address,
-    name,
-    symbol,
-    decimals,
+    m.contract_address,
+    m.name,
+    m.symbol,
+    m.decimals,
+    if(r.risk_label = '', 'unclassified', r.risk_label) as risk_label,
     COUNT() OVER() as total_usdc_variants
-FROM token_intelligence.token_metadata_130
-WHERE symbol ILIKE '%USDC%' OR symbol ILIKE '%USD%' OR name ILIKE '%USD%'
-ORDER BY symbol;
+FROM token_intelligence.token_metadata_130 m
+LEFT JOIN (
+    SELECT contract_address, risk_label
+    FROM token_intelligence.token_risk FINAL
+    WHERE chain_id = 130
+) r ON m.contract_address = r.contract_address
+WHERE m.symbol ILIKE '%USDC%' OR m.symbol ILIKE '%USD%' OR m.name ILIKE '%USD%'
+ORDER BY risk_label = 'canonical' DESC, m.symbol;
 
 -- ==========================================
 -- 🔬 ADVANCED ANALYTICS
@@ -370,18 +577,11 @@ FROM (
         FROM (
             SELECT 
                 contract_address,
-                address,
-                SUM(received) - SUM(sent) as balance
-            FROM (
-                SELECT contract_address, to_address as address, value as received, 0 as sent
-                FROM token_intelligence.erc20_transfers_130
-                WHERE to_address != '0x0000000000000000000000000000000000000000'
-                UNION ALL
-                SELECT contract_address, from_address as address, 0 as received, value as sent
-                FROM token_intelligence.erc20_transfers_130
-                WHERE from_address != '0x0000000000000000000000000000000000000000'
-            )
-            GROUP BY contract_address, address
+                holder_address as address,
+                SUM(balance) as balance
+            FROM token_intelligence.erc20_balances_130
+            WHERE holder_address != '0x0000000000000000000000000000000000000000'
+            GROUP BY contract_address, holder_address
             HAVING balance > 0
         )
     )
@@ -468,16 +668,62 @@ LIMIT 20;
 
 -- Popular token symbols
 SELECT 
-    symbol,
+    m.symbol,
     COUNT() as token_count,
-    arrayStringConcat(groupArray(name), ', ') as token_names
-FROM token_intelligence.token_metadata_130
-WHERE symbol != ''
-GROUP BY symbol
+    countIf(r.risk_label = 'canonical') as canonical_tokens,
+    countIf(r.risk_label IN ('spoof', 'impersonation', 'lookalike')) as suspicious_tokens,
+    arrayStringConcat(groupArray(m.name), ', ') as token_names
+FROM token_intelligence.token_metadata_130 m
+LEFT JOIN (
+    SELECT contract_address, risk_label
+    FROM token_intelligence.token_risk FINAL
+    WHERE chain_id = 130
+) r ON m.contract_address = r.contract_address
+WHERE m.symbol != ''
+GROUP BY m.symbol
 HAVING token_count > 1
 ORDER BY token_count DESC
 LIMIT 20;
 
+-- Suspected impersonator tokens
+SELECT 
+    r.risk_label,
+    r.matched_asset,
+    m.symbol,
+    m.name,
+    r.contract_address,
+    arrayStringConcat(r.reasons, ', ') as reasons,
+    t.transfers
+FROM (
+    SELECT contract_address, risk_label, matched_asset, reasons
+    FROM token_intelligence.token_risk FINAL
+    WHERE chain_id = 130 AND risk_label IN ('spoof', 'impersonation', 'lookalike')
+) r
+JOIN token_intelligence.token_metadata_130 m ON r.contract_address = m.contract_address
+LEFT JOIN (
+    SELECT contract_address, COUNT() as transfers
+    FROM token_intelligence.erc20_transfers_130
+    GROUP BY contract_address
+) t ON r.contract_address = t.contract_address
+ORDER BY t.transfers DESC
+LIMIT 50;
+
+-- ==========================================
+-- 🩺 DATA QUALITY
+-- ==========================================
+
+-- Contracts producing malformed logs
+SELECT 
+    contract_address,
+    groupUniqArray(reason) as reasons,
+    COUNT() as malformed_logs,
+    MIN(block_timestamp) as first_seen,
+    MAX(block_timestamp) as last_seen
+FROM token_intelligence.malformed_logs_130 FINAL
+GROUP BY contract_address
+ORDER BY malformed_logs DESC
+LIMIT 20;
+
 -- ==========================================
 -- 🔧 QUICK TEMPLATES FOR CUSTOMIZATION
 -- ==========================================
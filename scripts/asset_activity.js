@@ -0,0 +1,126 @@
+import { parseArgs } from "node:util";
+import { config, createClickHouseClient } from "../src/config.js";
+import {
+  DEFAULT_REGISTRY_FILE,
+  initializeRegistryTables,
+  loadRegistry,
+  queryAssetActivity,
+  queryAssetDailyActivity,
+  storeRegistry,
+} from "../src/registry.js";
+
+// Transfer activity of a canonical asset (e.g. usdc) summed over every
+// collected chain, using the registry to find its contract on each chain:
+//   node scripts/asset_activity.js [assetId] [--days n] [--daily]
+//     [--registry file]
+// Without an asset ID every registered asset is listed.
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    days: { type: "string" },
+    daily: { type: "boolean", default: false },
+    registry: { type: "string", default: DEFAULT_REGISTRY_FILE },
+  },
+});
+
+const ASSET_ID = positionals[0];
+const DAYS = options.days === undefined ? null : Number(options.days);
+
+if (
+  (DAYS !== null && (!Number.isInteger(DAYS) || DAYS < 1)) ||
+  (options.daily && !ASSET_ID)
+) {
+  console.error(
+    "Usage: node scripts/asset_activity.js [assetId] [--days n] [--daily] [--registry file]"
+  );
+  process.exit(1);
+}
+
+// Initialize ClickHouse client
+const clickhouse = createClickHouseClient();
+
+const formatVolume = (volume) =>
+  Number(volume).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+async function main() {
+  const registry = await loadRegistry(options.registry);
+  if (ASSET_ID && !registry.assets.some((asset) => asset.id === ASSET_ID)) {
+    throw new Error(
+      `Unknown asset ${ASSET_ID}; registered: ${registry.assets
+        .map((asset) => asset.id)
+        .join(", ")}`
+    );
+  }
+
+  await initializeRegistryTables(clickhouse);
+  if (await storeRegistry(clickhouse, registry)) {
+    console.log(`📚 Loaded registry v${registry.version} into ClickHouse`);
+  }
+
+  const since = DAYS && new Date(Date.now() - DAYS * 24 * 60 * 60 * 1000);
+  const window = DAYS ? `last ${DAYS} days` : "all time";
+  const rows = await queryAssetActivity(clickhouse, {
+    assetId: ASSET_ID,
+    since,
+  });
+  if (rows.length === 0) {
+    console.log(`ℹ️  No transfers of registered assets collected (${window})`);
+    await clickhouse.close();
+    return;
+  }
+
+  const byAsset = new Map();
+  for (const row of rows) {
+    if (!byAsset.has(row.asset_id)) byAsset.set(row.asset_id, []);
+    byAsset.get(row.asset_id).push(row);
+  }
+
+  for (const [assetId, chains] of byAsset) {
+    const total = chains.reduce((sum, row) => sum + Number(row.volume), 0);
+    const transfers = chains.reduce(
+      (sum, row) => sum + Number(row.transfers),
+      0
+    );
+    console.log(
+      `\n🌐 ${assetId} (${window}): ${transfers.toLocaleString()} transfers, ${formatVolume(
+        total
+      )} volume on ${chains.length} chain(s)`
+    );
+    console.table(
+      chains.map((row) => ({
+        chain: config.chains[row.chain_id]?.name ?? row.chain_id,
+        contract: row.contract_address,
+        transfers: Number(row.transfers),
+        volume: formatVolume(row.volume),
+        share: total > 0 ? `${((100 * row.volume) / total).toFixed(1)}%` : "-",
+        senders: Number(row.senders),
+        receivers: Number(row.receivers),
+        last_transfer: row.last_transfer,
+      }))
+    );
+  }
+
+  if (options.daily) {
+    const days = await queryAssetDailyActivity(clickhouse, {
+      assetId: ASSET_ID,
+      since,
+    });
+    console.log(`\n📅 ${ASSET_ID} per day, all chains:`);
+    console.table(
+      days.map((row) => ({
+        day: row.day,
+        transfers: Number(row.transfers),
+        volume: formatVolume(row.volume),
+        chains: Number(row.chains),
+      }))
+    );
+  }
+
+  // Close ClickHouse connection
+  await clickhouse.close();
+}
+
+main().catch((error) => {
+  console.error("Error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,148 @@
+import { parseArgs } from "node:util";
+import { config, createClickHouseClient } from "../src/config.js";
+import { initializeTokenMetadataTable } from "../src/metadata.js";
+import { DEFAULT_REGISTRY_FILE, loadRegistry } from "../src/registry.js";
+import {
+  buildCandles,
+  CANDLE_INTERVALS,
+  findUnresolvedPools,
+  initializePriceTables,
+  lastClose,
+  quoteAssets,
+  readPriceObservations,
+  writeCandles,
+} from "../src/prices.js";
+
+// Build USD price candles of a chain from its collected pool events
+// (collect --prices, then resolve-pools):
+//   node scripts/build_price_candles.js <chainId> [--days n]
+//     [--interval minute|hour] [--registry file]
+// The last `days` (default 1) are rebuilt a day at a time; candles of the
+// window replace earlier builds.
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    days: { type: "string", default: "1" },
+    interval: { type: "string", default: config.pricing.interval },
+    registry: { type: "string", default: DEFAULT_REGISTRY_FILE },
+  },
+});
+
+const CHAIN_ID = parseInt(positionals[0]);
+const chainInfo = config.chains[CHAIN_ID];
+const DAYS = Number(options.days);
+const INTERVAL = options.interval;
+
+if (
+  !chainInfo ||
+  !Number.isInteger(DAYS) ||
+  DAYS < 1 ||
+  !CANDLE_INTERVALS.includes(INTERVAL)
+) {
+  console.error(
+    "Usage: node scripts/build_price_candles.js <chainId> [--days n] [--interval minute|hour] [--registry file]"
+  );
+  process.exit(1);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Initialize ClickHouse client
+const clickhouse = createClickHouseClient();
+
+// Start of the candle holding a date
+function startOfInterval(date) {
+  const start = new Date(date);
+  if (INTERVAL === "hour") start.setUTCMinutes(0, 0, 0);
+  else start.setUTCSeconds(0, 0);
+  return start;
+}
+
+async function main() {
+  const registry = await loadRegistry(options.registry);
+  const quotes = quoteAssets(
+    registry,
+    CHAIN_ID,
+    config.pricing.stablecoins,
+    chainInfo.wrappedNative
+  );
+  if (quotes.stablecoins.size === 0) {
+    throw new Error(
+      `None of pricing.stablecoins (${config.pricing.stablecoins.join(
+        ", "
+      )}) is registered on ${chainInfo.name}`
+    );
+  }
+  console.log(
+    `💵 ${chainInfo.name}: ${quotes.stablecoins.size} stablecoin(s)${
+      quotes.wrappedNative ? ` and wrapped native ${quotes.wrappedNative}` : ""
+    } as quote assets`
+  );
+
+  await initializeTokenMetadataTable(clickhouse, CHAIN_ID);
+  await initializePriceTables(clickhouse);
+
+  const unresolved = await findUnresolvedPools(clickhouse, CHAIN_ID, 1);
+  if (unresolved.length > 0) {
+    console.log(
+      `⚠️  Some pools have no tokens yet and are skipped; run resolve-pools -- ${CHAIN_ID}`
+    );
+  }
+
+  const now = new Date();
+  const start = startOfInterval(new Date(now.getTime() - DAYS * DAY_MS));
+  let nativeUsd = quotes.wrappedNative
+    ? await lastClose(clickhouse, CHAIN_ID, {
+        interval: INTERVAL,
+        token: quotes.wrappedNative,
+        before: start,
+      })
+    : null;
+
+  const version = Date.now();
+  let total = 0;
+  for (let from = start; from < now; from = new Date(from.getTime() + DAY_MS)) {
+    const to = new Date(Math.min(from.getTime() + DAY_MS, now.getTime()));
+    const observations = await readPriceObservations(clickhouse, CHAIN_ID, {
+      from,
+      to,
+      quotes,
+    });
+    const built = buildCandles(observations, {
+      quotes,
+      interval: INTERVAL,
+      nativeUsd,
+    });
+    nativeUsd = built.nativeUsd;
+
+    await writeCandles(clickhouse, CHAIN_ID, {
+      interval: INTERVAL,
+      candles: built.candles,
+      version,
+    });
+    total += built.candles.length;
+
+    const tokens = new Set(built.candles.map((candle) => candle.token_address));
+    console.log(
+      `  📈 ${from.toISOString().slice(0, 16)}: ${
+        observations.length
+      } pool events → ${built.candles.length} candles of ${
+        tokens.size
+      } token(s)`
+    );
+  }
+
+  console.log(
+    `🎉 Wrote ${total} ${INTERVAL} candle(s) to token_price_candles${
+      nativeUsd !== null ? `; wrapped native at $${nativeUsd.toFixed(2)}` : ""
+    }`
+  );
+
+  // Close ClickHouse connection
+  await clickhouse.close();
+}
+
+main().catch((error) => {
+  console.error("Error:", error);
+  process.exit(1);
+});
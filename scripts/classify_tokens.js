@@ -0,0 +1,149 @@
+import { parseArgs } from "node:util";
+import { config, createClickHouseClient, DATABASE } from "../src/config.js";
+import {
+  createClassifier,
+  initializeTokenRiskTable,
+  RISK_LABELS,
+} from "../src/impersonation.js";
+import {
+  DEFAULT_REGISTRY_FILE,
+  initializeRegistryTables,
+  loadRegistry,
+  storeRegistry,
+} from "../src/registry.js";
+
+// Label every token in token_metadata against the canonical registry and
+// store the labels in token_risk (and the registry in canonical_tokens):
+//   node scripts/classify_tokens.js [chainId ...] [--registry file]
+// Without chain IDs every chain in token_metadata is classified. Re-run after
+// populate-cache, resolve-metadata or a registry change.
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    registry: { type: "string", default: DEFAULT_REGISTRY_FILE },
+  },
+});
+
+const CHAIN_IDS = positionals.map((id) => parseInt(id));
+
+if (CHAIN_IDS.some((id) => !Number.isInteger(id))) {
+  console.error(
+    "Usage: node scripts/classify_tokens.js [chainId ...] [--registry file]"
+  );
+  process.exit(1);
+}
+
+// Flagged tokens listed per chain
+const REPORT_LIMIT = 10;
+
+// Initialize ClickHouse client
+const clickhouse = createClickHouseClient();
+
+async function readTokens() {
+  const result = await clickhouse.query({
+    query: `
+      SELECT chain_id, contract_address, name, symbol
+      FROM ${DATABASE}.token_metadata FINAL
+      ${
+        CHAIN_IDS.length > 0 ? "WHERE chain_id IN {chainIds:Array(UInt64)}" : ""
+      }
+      ORDER BY chain_id, contract_address
+    `,
+    query_params: { chainIds: CHAIN_IDS },
+    format: "JSONEachRow",
+  });
+  return result.json();
+}
+
+async function main() {
+  const registry = await loadRegistry(options.registry);
+  const classify = createClassifier(registry);
+  console.log(
+    `📚 Registry v${registry.version}: ${registry.assets.length} assets from ${options.registry}`
+  );
+
+  // Keep canonical_tokens in step with the labels
+  await initializeRegistryTables(clickhouse);
+  if (await storeRegistry(clickhouse, registry)) {
+    console.log(`📚 Loaded registry v${registry.version} into ClickHouse`);
+  }
+
+  await initializeTokenRiskTable(clickhouse);
+  const tokens = await readTokens();
+  console.log(`🔎 Classifying ${tokens.length.toLocaleString()} tokens...`);
+
+  const rows = [];
+  const byChain = new Map();
+  for (const token of tokens) {
+    const chainId = Number(token.chain_id);
+    const risk = classify(token);
+    rows.push({
+      chain_id: chainId,
+      contract_address: token.contract_address,
+      ...risk,
+      registry_version: registry.version,
+    });
+
+    if (!byChain.has(chainId))
+      byChain.set(chainId, { counts: {}, flagged: [] });
+    const summary = byChain.get(chainId);
+    summary.counts[risk.risk_label] =
+      (summary.counts[risk.risk_label] || 0) + 1;
+    if (
+      [RISK_LABELS.spoof, RISK_LABELS.impersonation].includes(risk.risk_label)
+    ) {
+      summary.flagged.push({ ...token, ...risk });
+    }
+  }
+
+  const batchSize = config.batchSizes.metadata;
+  for (let i = 0; i < rows.length; i += batchSize) {
+    await clickhouse.insert({
+      table: `${DATABASE}.token_risk`,
+      values: rows.slice(i, i + batchSize),
+      format: "JSONEachRow",
+    });
+  }
+  if (rows.length > 0) {
+    await clickhouse.command({
+      query: `OPTIMIZE TABLE ${DATABASE}.token_risk FINAL`,
+    });
+  }
+
+  for (const [chainId, { counts, flagged }] of byChain) {
+    const name = config.chains[chainId]?.name ?? "Unknown chain";
+    const labels = Object.values(RISK_LABELS)
+      .filter((label) => counts[label])
+      .map((label) => `${counts[label]} ${label}`)
+      .join(", ");
+    console.log(`\n🛡️  ${name} (${chainId}): ${labels}`);
+
+    if (flagged.length > 0) {
+      console.table(
+        flagged.slice(0, REPORT_LIMIT).map((token) => ({
+          contract: token.contract_address,
+          symbol: token.symbol,
+          name: token.name,
+          label: token.risk_label,
+          asset: token.matched_asset,
+          reasons: token.reasons.join(", "),
+        }))
+      );
+      if (flagged.length > REPORT_LIMIT) {
+        console.log(`   … ${flagged.length - REPORT_LIMIT} more flagged`);
+      }
+    }
+  }
+
+  console.log(
+    `\n🎉 Stored ${rows.length.toLocaleString()} labels in token_risk`
+  );
+
+  // Close ClickHouse connection
+  await clickhouse.close();
+}
+
+main().catch((error) => {
+  console.error("Error:", error);
+  process.exit(1);
+});
@@ -1,6 +1,7 @@
 import fs from "fs/promises";
+import { config } from "../src/config.js";
 
-const METABASE_URL = "http://localhost:3000";
+const METABASE_URL = config.metabase.url;
 
 // Metabase API helper (simplified version for cleanup)
 class MetabaseAPI {
@@ -48,34 +49,24 @@ class MetabaseAPI {
     try {
       console.log("🔐 Attempting to authenticate with Metabase...");
 
-      // Try the credentials that worked before
-      const credentials = [
-        { username: "admin@example.com", password: "TQPhcZvBXBz3k3" },
-        { username: "admin@example.com", password: "admin123" },
-        { username: "admin", password: "admin" },
-      ];
-
-      for (const cred of credentials) {
-        try {
-          console.log(`  Trying: ${cred.username}`);
-
-          const response = await this.request("/session", {
-            method: "POST",
-            body: JSON.stringify(cred),
-          });
-
-          this.sessionToken = response.id;
-          console.log(`✅ Authenticated with Metabase as ${cred.username}`);
-          return true;
-        } catch (error) {
-          console.log(`  ❌ Failed: ${cred.username}`);
-        }
+      // Credentials come from the metabase section of the config
+      const { username, password } = config.metabase;
+      if (!password) {
+        throw new Error("No Metabase password configured");
       }
 
-      throw new Error("All authentication attempts failed");
+      console.log(`  Trying: ${username}`);
+      const response = await this.request("/session", {
+        method: "POST",
+        body: JSON.stringify({ username, password }),
+      });
+
+      this.sessionToken = response.id;
+      console.log(`✅ Authenticated with Metabase as ${username}`);
+      return true;
     } catch (error) {
       console.log(
-        "\n❌ Authentication failed. Please check Metabase credentials."
+        "\n❌ Authentication failed. Set METABASE_USER/METABASE_PASSWORD or the metabase section of config/config.json."
       );
       return false;
     }
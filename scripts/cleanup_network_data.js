@@ -1,20 +1,12 @@
-import { createClient } from "@clickhouse/client";
-
-// Chain configuration - matches the main collect.js file
-const CHAIN_CONFIG = {
-  1: { name: "Ethereum" },
-  10: { name: "Optimism" },
-  56: { name: "BSC" },
-  130: { name: "Unichain" },
-  137: { name: "Polygon" },
-  480: { name: "World Chain" },
-  1868: { name: "Lightlink" },
-  7777777: { name: "Zora" },
-  8453: { name: "Base" },
-  42161: { name: "Arbitrum" },
-  43114: { name: "Avalanche" },
-  81457: { name: "Blast" },
-};
+import { rm } from "fs/promises";
+import path from "path";
+import { config, createClickHouseClient, DATABASE } from "../src/config.js";
+import { balancesTableName, balancesViewName } from "../src/balances.js";
+import { chainTableNames } from "../src/collector.js";
+import { SPOOL_DIR } from "../src/spool.js";
+
+// Chains from the shared config
+const CHAIN_CONFIG = config.chains;
 
 // Get chain ID from command line argument
 const CHAIN_ID = parseInt(process.argv[2]);
@@ -31,7 +23,30 @@ if (!CHAIN_ID || !CHAIN_CONFIG[CHAIN_ID]) {
 }
 
 const chainInfo = CHAIN_CONFIG[CHAIN_ID];
-const tableName = `erc20_transfers_${CHAIN_ID}`;
+
+// Everything else the collector creates for the chain, opt-in tables
+// included whether or not they were ever enabled. Views go first since they
+// read the tables.
+const { tableName, normalizedViewName, nativeViewName, ...otherTables } =
+  chainTableNames(CHAIN_ID);
+const chainViews = [
+  normalizedViewName,
+  nativeViewName,
+  balancesViewName(CHAIN_ID),
+];
+const chainTables = [
+  ...Object.values(otherTables),
+  balancesTableName(CHAIN_ID),
+];
+
+// Shared tables with per-chain rows: without its sync_state checkpoints the
+// next run starts again from block 0. reorg_log is an audit trail and is kept.
+const chainStateTables = [
+  "sync_state",
+  "backfill_chunks",
+  "backfill_ends",
+  "tracked_targets",
+];
 
 console.log(
   `🧹 Cleaning up data for ${chainInfo.name} (Chain ID: ${CHAIN_ID})`
@@ -39,39 +54,74 @@ console.log(
 console.log(`📋 Target table: ${tableName}`);
 
 // Initialize ClickHouse client
-const clickhouse = createClient({
-  url: "http://localhost:8123",
-});
+const clickhouse = createClickHouseClient();
+
+async function tableExists(table) {
+  const result = await clickhouse.query({
+    query: `EXISTS ${DATABASE}.${table}`,
+    format: "JSONEachRow",
+  });
+  const rows = await result.json();
+  return Boolean(Number(rows[0]?.result));
+}
+
+async function dropChainViews() {
+  for (const view of chainViews) {
+    await clickhouse.command({
+      query: `DROP VIEW IF EXISTS ${DATABASE}.${view}`,
+    });
+  }
+  console.log(`🗑️  Dropped views: ${chainViews.join(", ")}`);
+}
+
+// Drop the chain's other tables and its rows in shared tables
+async function cleanupChainState() {
+  for (const table of chainTables) {
+    await clickhouse.command({
+      query: `DROP TABLE IF EXISTS ${DATABASE}.${table}`,
+    });
+  }
+  console.log(`🗑️  Dropped tables: ${chainTables.join(", ")}`);
+
+  for (const table of chainStateTables) {
+    if (!(await tableExists(table))) continue;
+    await clickhouse.command({
+      query: `DELETE FROM ${DATABASE}.${table} WHERE chain_id = ${CHAIN_ID}`,
+    });
+  }
+  console.log(`🗑️  Deleted chain rows from: ${chainStateTables.join(", ")}`);
+
+  // Spooled batches would otherwise be replayed into the fresh tables
+  await rm(path.join(SPOOL_DIR, String(CHAIN_ID)), {
+    recursive: true,
+    force: true,
+  });
+}
 
 async function cleanupNetworkData() {
   try {
     // Check if the table exists first
     console.log("🔍 Checking if table exists...");
-    const tableCheck = await clickhouse.query({
-      query: `EXISTS token_intelligence.${tableName}`,
-      format: "JSONEachRow",
-    });
-    const tableExists = await tableCheck.json();
+    const transfersExist = await tableExists(tableName);
 
-    if (!tableExists[0]?.result) {
+    // Get row count before deletion
+    if (!transfersExist) {
       console.log(
-        `ℹ️  Table ${tableName} does not exist. Nothing to clean up.`
+        `ℹ️  Table ${tableName} does not exist; the chain's other tables and checkpoints are still removed.`
       );
-      return;
-    }
-
-    // Get row count before deletion
-    console.log("📊 Getting current data statistics...");
-    try {
-      const countResult = await clickhouse.query({
-        query: `SELECT COUNT(*) as total_rows FROM token_intelligence.${tableName}`,
-        format: "JSONEachRow",
-      });
-      const countData = await countResult.json();
-      const totalRows = countData[0]?.total_rows || 0;
-      console.log(`📈 Current rows in table: ${totalRows.toLocaleString()}`);
-    } catch (error) {
-      console.log("⚠️  Could not get row count (table may be corrupted)");
+    } else {
+      console.log("📊 Getting current data statistics...");
+      try {
+        const countResult = await clickhouse.query({
+          query: `SELECT COUNT(*) as total_rows FROM ${DATABASE}.${tableName}`,
+          format: "JSONEachRow",
+        });
+        const countData = await countResult.json();
+        const totalRows = countData[0]?.total_rows || 0;
+        console.log(`📈 Current rows in table: ${totalRows.toLocaleString()}`);
+      } catch (error) {
+        console.log("⚠️  Could not get row count (table may be corrupted)");
+      }
     }
 
     // Ask for confirmation
@@ -83,87 +133,92 @@ async function cleanupNetworkData() {
     // Wait 5 seconds
     await new Promise((resolve) => setTimeout(resolve, 5000));
 
-    // Try multiple cleanup strategies for corrupted tables
-    console.log(`🗑️  Attempting to clean up table ${tableName}...`);
-
-    let cleanupSuccess = false;
-
-    // Strategy 1: Try DETACH first (faster for corrupted tables)
-    try {
-      console.log("📌 Strategy 1: Detaching table...");
-      await clickhouse.command({
-        query: `DETACH TABLE token_intelligence.${tableName}`,
-      });
+    // The views read the transfers table, so they go first
+    await dropChainViews();
 
-      console.log("🗑️  Dropping detached table...");
-      await clickhouse.command({
-        query: `DROP TABLE IF EXISTS token_intelligence.${tableName}`,
-      });
-
-      cleanupSuccess = true;
-      console.log("✅ Successfully cleaned up using DETACH/DROP strategy!");
-    } catch (detachError) {
-      console.log("⚠️  DETACH strategy failed, trying direct DROP...");
+    // Try multiple cleanup strategies for corrupted tables
+    let cleanupSuccess = !transfersExist;
+    if (transfersExist) {
+      console.log(`🗑️  Attempting to clean up table ${tableName}...`);
 
-      // Strategy 2: Force DROP with shorter timeout
+      // Strategy 1: Try DETACH first (faster for corrupted tables)
       try {
-        console.log("📌 Strategy 2: Direct DROP with timeout...");
-        await Promise.race([
-          clickhouse.command({
-            query: `DROP TABLE IF EXISTS token_intelligence.${tableName}`,
-          }),
-          new Promise((_, reject) =>
-            setTimeout(() => reject(new Error("Manual timeout")), 30000)
-          ),
-        ]);
+        console.log("📌 Strategy 1: Detaching table...");
+        await clickhouse.command({
+          query: `DETACH TABLE ${DATABASE}.${tableName}`,
+        });
+
+        console.log("🗑️  Dropping detached table...");
+        await clickhouse.command({
+          query: `DROP TABLE IF EXISTS ${DATABASE}.${tableName}`,
+        });
 
         cleanupSuccess = true;
-        console.log("✅ Successfully cleaned up using direct DROP!");
-      } catch (dropError) {
-        console.log("⚠️  Direct DROP failed, trying system approach...");
+        console.log("✅ Successfully cleaned up using DETACH/DROP strategy!");
+      } catch (detachError) {
+        console.log("⚠️  DETACH strategy failed, trying direct DROP...");
 
-        // Strategy 3: Use system tables approach
+        // Strategy 2: Force DROP with shorter timeout
         try {
-          console.log("📌 Strategy 3: Using system tables...");
-
-          // First, try to get the table UUID if it exists
-          const uuidResult = await clickhouse.query({
-            query: `SELECT uuid FROM system.tables WHERE database = 'token_intelligence' AND name = '${tableName}'`,
-            format: "JSONEachRow",
-          });
-          const uuidRows = await uuidResult.json();
-
-          if (uuidRows.length > 0) {
-            const tableUUID = uuidRows[0].uuid;
-            console.log(`🔑 Found table UUID: ${tableUUID}`);
-
-            // Try to drop by UUID
-            await clickhouse.command({
-              query: `DROP TABLE IF EXISTS token_intelligence.\`${tableUUID}\``,
+          console.log("📌 Strategy 2: Direct DROP with timeout...");
+          await Promise.race([
+            clickhouse.command({
+              query: `DROP TABLE IF EXISTS ${DATABASE}.${tableName}`,
+            }),
+            new Promise((_, reject) =>
+              setTimeout(() => reject(new Error("Manual timeout")), 30000)
+            ),
+          ]);
+
+          cleanupSuccess = true;
+          console.log("✅ Successfully cleaned up using direct DROP!");
+        } catch (dropError) {
+          console.log("⚠️  Direct DROP failed, trying system approach...");
+
+          // Strategy 3: Use system tables approach
+          try {
+            console.log("📌 Strategy 3: Using system tables...");
+
+            // First, try to get the table UUID if it exists
+            const uuidResult = await clickhouse.query({
+              query: `SELECT uuid FROM system.tables WHERE database = '${DATABASE}' AND name = '${tableName}'`,
+              format: "JSONEachRow",
             });
-
-            cleanupSuccess = true;
-            console.log("✅ Successfully cleaned up using UUID approach!");
-          } else {
+            const uuidRows = await uuidResult.json();
+
+            if (uuidRows.length > 0) {
+              const tableUUID = uuidRows[0].uuid;
+              console.log(`🔑 Found table UUID: ${tableUUID}`);
+
+              // Try to drop by UUID
+              await clickhouse.command({
+                query: `DROP TABLE IF EXISTS ${DATABASE}.\`${tableUUID}\``,
+              });
+
+              cleanupSuccess = true;
+              console.log("✅ Successfully cleaned up using UUID approach!");
+            } else {
+              console.log(
+                "ℹ️  Table not found in system.tables (may already be cleaned)"
+              );
+              cleanupSuccess = true;
+            }
+          } catch (systemError) {
+            console.log("❌ All cleanup strategies failed.");
+            console.log(
+              "💡 The table may be severely corrupted. Manual intervention required."
+            );
             console.log(
-              "ℹ️  Table not found in system.tables (may already be cleaned)"
+              "🛠️  Try restarting ClickHouse service or check ClickHouse logs."
             );
-            cleanupSuccess = true;
+            throw systemError;
           }
-        } catch (systemError) {
-          console.log("❌ All cleanup strategies failed.");
-          console.log(
-            "💡 The table may be severely corrupted. Manual intervention required."
-          );
-          console.log(
-            "🛠️  Try restarting ClickHouse service or check ClickHouse logs."
-          );
-          throw systemError;
         }
       }
     }
 
     if (cleanupSuccess) {
+      await cleanupChainState();
       console.log(`✅ Successfully cleaned up ${chainInfo.name} data!`);
       console.log(`📋 Table ${tableName} has been removed.`);
       console.log(`🔄 You can now run collection again to start fresh.`);
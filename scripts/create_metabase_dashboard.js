@@ -1,7 +1,8 @@
 import fs from "fs/promises";
 import path from "path";
+import { config, DATABASE } from "../src/config.js";
 
-const METABASE_URL = "http://localhost:3000";
+const METABASE_URL = config.metabase.url;
 
 // Parse SQL file to extract queries and their descriptions
 function parseSQLFile(content, filename) {
@@ -145,36 +146,32 @@ class MetabaseAPI {
       // First check if setup is complete
       await this.checkSetup();
 
-      // Try default credentials
-      const credentials = [
-        { username: "admin@example.com", password: "TQPhcZvBXBz3k3" },
-      ];
-
-      for (const cred of credentials) {
-        try {
-          console.log(`  Trying: ${cred.username}`);
-
-          const response = await this.request("/session", {
-            method: "POST",
-            body: JSON.stringify(cred),
-          });
-
-          this.sessionToken = response.id;
-          console.log(`✅ Authenticated with Metabase as ${cred.username}`);
-          return true;
-        } catch (error) {
-          console.log(`  ❌ Failed: ${cred.username}`);
-        }
+      // Credentials come from the metabase section of the config
+      const { username, password } = config.metabase;
+      if (!password) {
+        throw new Error("No Metabase password configured");
       }
 
-      throw new Error("All authentication attempts failed");
+      console.log(`  Trying: ${username}`);
+      const response = await this.request("/session", {
+        method: "POST",
+        body: JSON.stringify({ username, password }),
+      });
+
+      this.sessionToken = response.id;
+      console.log(`✅ Authenticated with Metabase as ${username}`);
+      return true;
     } catch (error) {
-      console.log("\n❌ Authentication failed completely.");
+      console.log(
+        `\n❌ Authentication failed: ${error.message.split("\n")[0]}`
+      );
       console.log("📋 Next steps:");
-      console.log("  1. Visit http://localhost:3000");
+      console.log(`  1. Visit ${METABASE_URL}`);
       console.log("  2. Complete initial Metabase setup");
       console.log("  3. Note down your admin credentials");
-      console.log("  4. Update the script with your credentials");
+      console.log(
+        "  4. Set METABASE_USER/METABASE_PASSWORD or the metabase section of config/config.json"
+      );
       return false;
     }
   }
@@ -316,11 +313,11 @@ async function main() {
   if (!clickhouseDB) {
     console.log("\n❌ ClickHouse database not found in Metabase.");
     console.log("🔧 Setup steps:");
-    console.log("  1. Visit http://localhost:3000/admin/databases/create");
+    console.log(`  1. Visit ${METABASE_URL}/admin/databases/create`);
     console.log('  2. Choose "ClickHouse"');
     console.log("  3. Host: clickhouse");
     console.log("  4. Port: 8123");
-    console.log("  5. Database name: token_intelligence");
+    console.log(`  5. Database name: ${DATABASE}`);
     console.log("  6. Username: default (leave empty)");
     console.log("  7. Password: (leave empty)");
     process.exit(1);
@@ -346,7 +343,11 @@ async function main() {
 
   for (const filePath of queryFiles) {
     try {
-      const content = await fs.readFile(filePath, "utf8");
+      // Queries name the default database; point them at the configured one
+      const content = (await fs.readFile(filePath, "utf8")).replace(
+        /\btoken_intelligence\b/g,
+        DATABASE
+      );
       const queries = parseSQLFile(content, path.basename(filePath));
 
       console.log(
@@ -441,7 +442,7 @@ async function main() {
       }
 
       console.log(
-        `✅ Dashboard "${category}" created with ${successCount}/${categoryQueries.length} queries: http://localhost:3000/dashboard/${dashboard.id}\n`
+        `✅ Dashboard "${category}" created with ${successCount}/${categoryQueries.length} queries: ${METABASE_URL}/dashboard/${dashboard.id}\n`
       );
     } catch (error) {
       console.log(
@@ -452,7 +453,7 @@ async function main() {
 
   console.log("🎉 Dashboard creation complete!");
   console.log("\n💡 Next steps:");
-  console.log("   1. Visit http://localhost:3000 to view your dashboards");
+  console.log(`   1. Visit ${METABASE_URL} to view your dashboards`);
   console.log("   2. Customize visualizations (change from table to charts)");
   console.log("   3. Add filters and parameters");
   console.log("   4. Organize dashboard layouts");
@@ -0,0 +1,130 @@
+import { parseArgs } from "node:util";
+import { config, createClickHouseClient, DATABASE } from "../src/config.js";
+
+// Summarize the quarantined logs of malformed_logs_{chainId} by contract:
+//   node scripts/malformed_logs_report.js [chainId ...] [--limit n]
+// Without chain IDs every configured chain that has the table is reported.
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    limit: { type: "string", default: "20" },
+  },
+});
+
+const LIMIT = Number(options.limit);
+const CHAIN_IDS =
+  positionals.length > 0
+    ? positionals.map((id) => parseInt(id))
+    : Object.keys(config.chains).map(Number);
+
+if (
+  CHAIN_IDS.some((id) => !config.chains[id]) ||
+  !Number.isInteger(LIMIT) ||
+  LIMIT < 1
+) {
+  console.error(
+    "Usage: node scripts/malformed_logs_report.js [chainId ...] [--limit n]"
+  );
+  process.exit(1);
+}
+
+// Initialize ClickHouse client
+const clickhouse = createClickHouseClient();
+
+async function tableExists(table) {
+  const result = await clickhouse.query({
+    query: `EXISTS TABLE ${DATABASE}.${table}`,
+    format: "JSONEachRow",
+  });
+  const rows = await result.json();
+  return Number(rows[0]?.result) === 1;
+}
+
+async function queryRows(query) {
+  const result = await clickhouse.query({ query, format: "JSONEachRow" });
+  return result.json();
+}
+
+async function reportChain(chainId) {
+  const table = `malformed_logs_${chainId}`;
+  const { name } = config.chains[chainId];
+
+  if (!(await tableExists(table))) {
+    if (positionals.length > 0) {
+      console.log(`ℹ️  ${name} (${chainId}): ${table} does not exist yet`);
+    }
+    return;
+  }
+
+  const byReason = await queryRows(`
+    SELECT reason, count() AS logs, uniqExact(contract_address) AS contracts
+    FROM ${DATABASE}.${table} FINAL
+    GROUP BY reason
+    ORDER BY logs DESC
+  `);
+  if (byReason.length === 0) {
+    console.log(`✅ ${name} (${chainId}): no malformed logs`);
+    return;
+  }
+
+  // Symbols help tell a broken token from a non-standard one
+  const withMetadata = await tableExists("token_metadata");
+  const byContract = await queryRows(`
+    SELECT
+      m.contract_address AS contract_address,
+      ${withMetadata ? "any(t.symbol)" : "''"} AS symbol,
+      groupUniqArray(m.reason) AS reasons,
+      count() AS logs,
+      uniqExact(m.transaction_hash) AS transactions,
+      min(m.block_number) AS first_block,
+      max(m.block_number) AS last_block
+    FROM (SELECT * FROM ${DATABASE}.${table} FINAL) AS m
+    ${
+      withMetadata
+        ? `LEFT JOIN (
+            SELECT contract_address, argMax(symbol, version) AS symbol
+            FROM ${DATABASE}.token_metadata
+            WHERE chain_id = ${chainId}
+            GROUP BY contract_address
+          ) AS t ON t.contract_address = m.contract_address`
+        : ""
+    }
+    GROUP BY m.contract_address
+    ORDER BY logs DESC
+    LIMIT ${LIMIT}
+  `);
+
+  const total = byReason.reduce((sum, row) => sum + Number(row.logs), 0);
+  console.log(`\n🩺 ${name} (${chainId}): ${total} malformed logs`);
+  for (const row of byReason) {
+    console.log(
+      `   ${row.reason}: ${row.logs} logs from ${row.contracts} contract(s)`
+    );
+  }
+
+  console.log(`\n   Top ${byContract.length} contracts:`);
+  console.table(
+    byContract.map((row) => ({
+      contract: row.contract_address,
+      symbol: row.symbol || "",
+      reasons: row.reasons.join(", "),
+      logs: Number(row.logs),
+      transactions: Number(row.transactions),
+      blocks: `${row.first_block}-${row.last_block}`,
+    }))
+  );
+}
+
+async function main() {
+  for (const chainId of CHAIN_IDS) {
+    await reportChain(chainId);
+  }
+
+  // Close ClickHouse connection
+  await clickhouse.close();
+}
+
+main().catch((error) => {
+  console.error("Error:", error);
+  process.exit(1);
+});
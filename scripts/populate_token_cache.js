@@ -1,136 +1,130 @@
-import { createClient } from "@clickhouse/client";
 import { readdir, readFile } from "fs/promises";
 import path from "path";
-
-// Initialize ClickHouse client
-const clickhouse = createClient({
-  url: "http://localhost:8123",
+import { parseArgs } from "node:util";
+import { config, createClickHouseClient, DATABASE } from "../src/config.js";
+import {
+  diffTokenMetadata,
+  initializeTokenMetadataTable,
+  METADATA_TABLE,
+  optimizeTokenMetadata,
+  readTokenMetadata,
+  writeTokenMetadata,
+} from "../src/metadata.js";
+
+// Merge the .cache/tokenMetadata_{chainId}.json files into the token_metadata
+// table and report what changed since the last load:
+//   node scripts/populate_token_cache.js [--dry-run] [--verbose]
+// Rows from other sources (the RPC resolver) are left in place. Every chain
+// with a file or in the config gets a token_metadata_{chainId} view.
+const { values: options } = parseArgs({
+  options: {
+    "dry-run": { type: "boolean", default: false },
+    verbose: { type: "boolean", default: false },
+  },
 });
 
-// Initialize database and table for specific chain token metadata
-async function initializeChainTokenTable(chainId) {
-  const tableName = `token_metadata_${chainId}`;
-  console.log(`Setting up ClickHouse table: ${tableName}...`);
-
-  // Create database if it doesn't exist (should already exist)
-  await clickhouse.command({
-    query: "CREATE DATABASE IF NOT EXISTS token_intelligence",
-  });
-
-  // Drop existing table to recreate with new schema
-  await clickhouse.command({
-    query: `DROP TABLE IF EXISTS token_intelligence.${tableName}`,
-  });
+// Changes listed per chain unless --verbose
+const REPORT_LIMIT = 10;
 
-  // Create chain-specific token metadata table
-  await clickhouse.command({
-    query: `
-      CREATE TABLE IF NOT EXISTS token_intelligence.${tableName} (
-        contract_address LowCardinality(String),
-        name String,
-        symbol LowCardinality(String),
-        decimals UInt8,
-        created_at DateTime DEFAULT now(),
-        
-        INDEX idx_contract contract_address TYPE bloom_filter GRANULARITY 1,
-        INDEX idx_symbol symbol TYPE bloom_filter GRANULARITY 1
-      ) ENGINE = MergeTree()
-      ORDER BY contract_address
-    `,
-  });
+// Initialize ClickHouse client
+const clickhouse = createClickHouseClient();
 
-  console.log(`✅ Table ${tableName} ready!`);
-  return tableName;
+// Extract chain ID from filename
+function extractChainId(filename) {
+  const match = filename.match(/tokenMetadata_(\d+)\.json$/);
+  return match ? parseInt(match[1]) : null;
 }
 
-// Batch insert function for better performance
-async function insertTokenBatch(tokens, tableName) {
-  if (tokens.length === 0) return;
+// Valid entries of a metadata file, with lowercased addresses
+async function readMetadataFile(filePath) {
+  const metadata = JSON.parse(await readFile(filePath, "utf8"));
+  const entries = [];
+
+  for (const [checksummedAddress, tokenData] of Object.entries(metadata)) {
+    // Validate required fields
+    if (
+      !tokenData.name ||
+      !tokenData.symbol ||
+      typeof tokenData.decimals !== "number"
+    ) {
+      console.warn(
+        `Skipping invalid token data for ${checksummedAddress}:`,
+        tokenData
+      );
+      continue;
+    }
 
-  await clickhouse.insert({
-    table: `token_intelligence.${tableName}`,
-    values: tokens,
-    format: "JSONEachRow",
-  });
+    // Lowercase the address to match existing data format
+    entries.push({
+      contract_address: checksummedAddress.toLowerCase(),
+      name: tokenData.name,
+      symbol: tokenData.symbol,
+      decimals: tokenData.decimals,
+    });
+  }
+  return entries;
 }
 
-// Extract chain ID from filename
-function extractChainId(filename) {
-  const match = filename.match(/tokenMetadata_(\d+)\.json$/);
-  return match ? parseInt(match[1]) : null;
+function printDiff({ added, changed, removed }) {
+  console.log(
+    `  📋 ${added.length} added, ${changed.length} changed, ${removed.length} removed`
+  );
+  const limit = options.verbose ? Infinity : REPORT_LIMIT;
+  for (const address of added.slice(0, limit)) {
+    console.log(`     + ${address}`);
+  }
+  for (const { contract_address, changes } of changed.slice(0, limit)) {
+    const fields = Object.entries(changes)
+      .map(([field, [before, after]]) => `${field} ${before} → ${after}`)
+      .join(", ");
+    console.log(`     ~ ${contract_address}: ${fields}`);
+  }
+  for (const address of removed.slice(0, limit)) {
+    console.log(`     - ${address} (kept, flagged removed)`);
+  }
+  const hidden =
+    Math.max(0, added.length - limit) +
+    Math.max(0, changed.length - limit) +
+    Math.max(0, removed.length - limit);
+  if (hidden > 0) {
+    console.log(`     … ${hidden} more (--verbose to list all)`);
+  }
 }
 
-// Process a single metadata file
+// Merge a single metadata file into the rows of its chain
 async function processMetadataFile(filePath, chainId) {
   console.log(
     `Processing ${path.basename(filePath)} (Chain ID: ${chainId})...`
   );
 
   try {
-    // Initialize chain-specific table
-    const tableName = await initializeChainTokenTable(chainId);
-
-    const fileContent = await readFile(filePath, "utf8");
-    const metadata = JSON.parse(fileContent);
-
-    const tokenBatch = [];
-    let processedCount = 0;
-
-    // Process each token in the file
-    for (const [checksummedAddress, tokenData] of Object.entries(metadata)) {
-      // Lowercase the address to match existing data format
-      const lowercaseAddress = checksummedAddress.toLowerCase();
-
-      // Validate required fields
-      if (
-        !tokenData.name ||
-        !tokenData.symbol ||
-        typeof tokenData.decimals !== "number"
-      ) {
-        console.warn(
-          `Skipping invalid token data for ${checksummedAddress}:`,
-          tokenData
-        );
-        continue;
-      }
-
-      tokenBatch.push({
-        contract_address: lowercaseAddress,
-        name: tokenData.name,
-        symbol: tokenData.symbol,
-        decimals: tokenData.decimals,
-      });
-
-      processedCount++;
+    await initializeTokenMetadataTable(clickhouse, chainId);
 
-      // Insert in batches of 1000
-      if (tokenBatch.length >= 1000) {
-        await insertTokenBatch(tokenBatch, tableName);
-        console.log(
-          `  ✅ Inserted batch of ${tokenBatch.length} tokens (${processedCount} total)`
-        );
-        tokenBatch.length = 0; // Clear the batch
-      }
-    }
+    const entries = await readMetadataFile(filePath);
+    const stored = await readTokenMetadata(clickhouse, chainId);
+    const diff = diffTokenMetadata(stored, entries, Date.now());
+    printDiff(diff);
 
-    // Insert any remaining tokens
-    if (tokenBatch.length > 0) {
-      await insertTokenBatch(tokenBatch, tableName);
-      console.log(`  ✅ Inserted final batch of ${tokenBatch.length} tokens`);
+    if (!options["dry-run"]) {
+      await writeTokenMetadata(clickhouse, chainId, diff.rows, {
+        batchSize: config.batchSizes.metadata,
+      });
     }
 
     console.log(
-      `  🎉 Completed ${path.basename(
-        filePath
-      )}: ${processedCount} tokens processed`
+      `  🎉 Completed ${path.basename(filePath)}: ${
+        entries.length
+      } tokens checked, ${diff.rows.length} rows ${
+        options["dry-run"] ? "would be written" : "written"
+      }`
     );
-    return { chainId, tokenCount: processedCount, tableName };
+    return { chainId, tokenCount: entries.length };
   } catch (error) {
     console.error(
       `❌ Error processing ${path.basename(filePath)}:`,
       error.message
     );
-    return { chainId, tokenCount: 0, tableName: null };
+    return { chainId, tokenCount: 0 };
   }
 }
 
@@ -138,6 +132,11 @@ const main = async () => {
   console.log("Starting token metadata cache population...");
   const startTime = performance.now();
 
+  // Create database if it doesn't exist (should already exist)
+  await clickhouse.command({
+    query: `CREATE DATABASE IF NOT EXISTS ${DATABASE}`,
+  });
+
   // Find all metadata files
   const cacheDir = ".cache";
   const files = await readdir(cacheDir);
@@ -151,7 +150,7 @@ const main = async () => {
 
   let totalTokens = 0;
   let processedFiles = 0;
-  const createdTables = [];
+  const loadedChains = new Set();
 
   // Process each metadata file
   for (const filename of metadataFiles) {
@@ -167,16 +166,21 @@ const main = async () => {
 
     totalTokens += result.tokenCount;
     processedFiles++;
-    if (result.tableName) {
-      createdTables.push({
-        chainId: result.chainId,
-        tableName: result.tableName,
-        tokenCount: result.tokenCount,
-      });
-    }
+    loadedChains.add(chainId);
     console.log(); // Add spacing between files
   }
 
+  // Views for configured chains without a cache file, so queries written
+  // against token_metadata_{chainId} work before the resolver fills them
+  for (const chainId of Object.keys(config.chains).map(Number)) {
+    if (!loadedChains.has(chainId)) {
+      await initializeTokenMetadataTable(clickhouse, chainId);
+    }
+  }
+  if (!options["dry-run"]) {
+    await optimizeTokenMetadata(clickhouse);
+  }
+
   // Print final results
   const totalTime = (performance.now() - startTime) / 1000;
   console.log(`🎉 Population complete!`);
@@ -190,37 +194,34 @@ const main = async () => {
 
   // Print chain distribution
   console.log(`\n📈 Verifying data in ClickHouse...`);
-  console.log(`Chain distribution:`);
-
-  for (const table of createdTables) {
-    try {
-      const result = await clickhouse.query({
-        query: `
-          SELECT 
-            COUNT() as token_count,
-            COUNT(DISTINCT symbol) as unique_symbols
-          FROM token_intelligence.${table.tableName}
-        `,
-        format: "JSONEachRow",
-      });
+  console.log(`Chain distribution (${DATABASE}.${METADATA_TABLE}):`);
 
-      const rows = await result.json();
-      if (rows.length > 0) {
-        const row = rows[0];
-        console.log(
-          `   Chain ${
-            table.chainId
-          }: ${row.token_count.toLocaleString()} tokens (${
-            row.unique_symbols
-          } unique symbols) → table: ${table.tableName}`
-        );
-      }
-    } catch (error) {
-      console.error(
-        `❌ Error verifying table ${table.tableName}:`,
-        error.message
+  try {
+    const result = await clickhouse.query({
+      query: `
+        SELECT
+          chain_id,
+          COUNT() as token_count,
+          COUNT(DISTINCT symbol) as unique_symbols,
+          countIf(symbol_source = 'rpc') as from_rpc
+        FROM ${DATABASE}.${METADATA_TABLE} FINAL
+        GROUP BY chain_id
+        ORDER BY chain_id
+      `,
+      format: "JSONEachRow",
+    });
+
+    for (const row of await result.json()) {
+      console.log(
+        `   Chain ${row.chain_id}: ${Number(
+          row.token_count
+        ).toLocaleString()} tokens (${row.unique_symbols} unique symbols, ${
+          row.from_rpc
+        } from RPC)`
       );
     }
+  } catch (error) {
+    console.error(`❌ Error verifying ${METADATA_TABLE}:`, error.message);
   }
 
   // Close ClickHouse connection
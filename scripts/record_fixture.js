@@ -0,0 +1,73 @@
+import { parseArgs } from "node:util";
+import { config } from "../src/config.js";
+import { ChainCollector } from "../src/collector.js";
+import { recordStream, writeFixture } from "../src/replay.js";
+
+// Record the Hypersync responses the collector would receive for a block
+// range, for offline replay in tests:
+//   node scripts/record_fixture.js <chainId> --from-block n --to-block n
+//     [--out file] [--transactions] [--native]
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    "from-block": { type: "string" },
+    "to-block": { type: "string" },
+    out: { type: "string" },
+    transactions: { type: "boolean", default: false },
+    native: { type: "boolean", default: false },
+  },
+});
+
+const CHAIN_ID = parseInt(positionals[0]);
+const FROM_BLOCK = Number(options["from-block"]);
+const TO_BLOCK = Number(options["to-block"]) + 1; // --to-block is inclusive
+
+if (
+  !config.chains[CHAIN_ID] ||
+  !Number.isInteger(FROM_BLOCK) ||
+  !Number.isInteger(TO_BLOCK) ||
+  FROM_BLOCK < 0 ||
+  TO_BLOCK <= FROM_BLOCK
+) {
+  console.error(
+    "Usage: node scripts/record_fixture.js <chainId> --from-block n --to-block n [--out file] [--transactions] [--native]"
+  );
+  process.exit(1);
+}
+
+const OUT =
+  options.out || `test/fixtures/${CHAIN_ID}_${FROM_BLOCK}-${TO_BLOCK - 1}.json`;
+
+async function main() {
+  const chainInfo = config.chains[CHAIN_ID];
+
+  // The collector builds the exact query it would stream with
+  const collector = new ChainCollector(CHAIN_ID, chainInfo, null, {
+    transactions: options.transactions,
+    native: options.native,
+    verbose: false,
+  });
+
+  console.log(
+    `🎙️  Recording ${chainInfo.name} blocks ${FROM_BLOCK}-${TO_BLOCK - 1}...`
+  );
+  const fixture = await recordStream(collector.client, CHAIN_ID, {
+    ...collector.query,
+    fromBlock: FROM_BLOCK,
+    toBlock: TO_BLOCK,
+  });
+  await writeFixture(OUT, fixture);
+
+  const logs = fixture.responses.reduce(
+    (sum, res) => sum + (res.data.logs?.length || 0),
+    0
+  );
+  console.log(
+    `✅ Saved ${fixture.responses.length} responses (${logs} logs) to ${OUT}`
+  );
+}
+
+main().catch((error) => {
+  console.error("❌ Recording failed:", error.message);
+  process.exit(1);
+});
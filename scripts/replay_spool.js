@@ -0,0 +1,56 @@
+import { initializeSyncState } from "../src/checkpoint.js";
+import { createClickHouseClient } from "../src/config.js";
+import { Spool, listSpooledChains, SPOOL_DIR } from "../src/spool.js";
+
+// Optional chain ID; replays every spooled chain when omitted
+const CHAIN_ID = process.argv[2] ? parseInt(process.argv[2]) : null;
+
+if (process.argv[2] && !CHAIN_ID) {
+  console.error(`❌ Invalid chain ID: ${process.argv[2]}`);
+  console.log("Usage: node scripts/replay_spool.js [CHAIN_ID]");
+  process.exit(1);
+}
+
+// Initialize ClickHouse client
+const clickhouse = createClickHouseClient();
+
+async function main() {
+  console.log(`🛟 Replaying spooled batches from ${SPOOL_DIR}/...`);
+  await initializeSyncState(clickhouse);
+
+  const chainIds = CHAIN_ID ? [CHAIN_ID] : await listSpooledChains();
+  let failedChains = 0;
+
+  for (const chainId of chainIds) {
+    // The event type is read from each file's header, not from the spool
+    const spool = new Spool(chainId, null);
+    const files = await spool.files();
+    if (files.length === 0) {
+      console.log(`ℹ️  Chain ${chainId}: nothing spooled`);
+      continue;
+    }
+
+    console.log(`📦 Chain ${chainId}: ${files.length} spooled batch(es)`);
+    try {
+      const nextBlock = await spool.replay(clickhouse);
+      console.log(`✅ Chain ${chainId}: checkpoint now at block ${nextBlock}`);
+    } catch (error) {
+      failedChains++;
+      const remaining = (await spool.files()).length;
+      console.error(
+        `❌ Chain ${chainId}: replay stopped (${error.message}), ${remaining} batch(es) left`
+      );
+    }
+  }
+
+  // Close ClickHouse connection
+  await clickhouse.close();
+
+  if (failedChains > 0) process.exit(1);
+  console.log("🎉 Spool drained!");
+}
+
+main().catch((error) => {
+  console.error("Error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+import { parseArgs } from "node:util";
+import { config, createClickHouseClient } from "../src/config.js";
+import { createMetadataClient } from "../src/metadata.js";
+import {
+  findUnresolvedPools,
+  initializePriceTables,
+  resolvePools,
+  writePools,
+} from "../src/prices.js";
+
+// Read token0/token1 over JSON-RPC for pools whose Swap or Sync events were
+// collected (--prices) but that have no dex_pools row yet:
+//   node scripts/resolve_dex_pools.js <chainId> [--rpc-url url] [--limit n]
+// The RPC URL defaults to the chain's rpcUrl (config file or RPC_URL_{id}).
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    "rpc-url": { type: "string" },
+    limit: { type: "string", default: "10000" },
+  },
+});
+
+const CHAIN_ID = parseInt(positionals[0]);
+const chainInfo = config.chains[CHAIN_ID];
+const RPC_URL = options["rpc-url"] || chainInfo?.rpcUrl;
+const LIMIT = Number(options.limit);
+
+if (!chainInfo || !Number.isInteger(LIMIT) || LIMIT < 1) {
+  console.error(
+    "Usage: node scripts/resolve_dex_pools.js <chainId> [--rpc-url url] [--limit n]"
+  );
+  process.exit(1);
+}
+if (!RPC_URL) {
+  console.error(
+    `❌ No RPC URL for ${chainInfo.name}: pass --rpc-url, set RPC_URL_${CHAIN_ID} or chains.${CHAIN_ID}.rpcUrl in config/config.json`
+  );
+  process.exit(1);
+}
+
+// Initialize ClickHouse client
+const clickhouse = createClickHouseClient();
+
+async function main() {
+  await initializePriceTables(clickhouse);
+
+  const addresses = await findUnresolvedPools(clickhouse, CHAIN_ID, LIMIT);
+  console.log(
+    `🔎 ${chainInfo.name}: ${addresses.length} pool(s) with events but no tokens`
+  );
+  if (addresses.length === 0) {
+    await clickhouse.close();
+    return;
+  }
+
+  const { client, multicallAddress } = await createMetadataClient(
+    RPC_URL,
+    chainInfo.multicallAddress
+  );
+  console.log(
+    multicallAddress
+      ? `📞 Using Multicall3 at ${multicallAddress}`
+      : "📞 Multicall3 not deployed, calling each pool directly"
+  );
+
+  const batchSize = config.batchSizes.rpc;
+  let resolvedCount = 0;
+  const unresolved = [];
+
+  for (let i = 0; i < addresses.length; i += batchSize) {
+    const batch = addresses.slice(i, i + batchSize);
+    const result = await resolvePools(client, batch, { multicallAddress });
+
+    await writePools(clickhouse, CHAIN_ID, result.resolved);
+    resolvedCount += result.resolved.length;
+    unresolved.push(...result.unresolved);
+
+    console.log(
+      `  ✅ ${Math.min(i + batchSize, addresses.length)}/${
+        addresses.length
+      } checked, ${resolvedCount} resolved`
+    );
+  }
+
+  console.log(
+    `🎉 Added ${resolvedCount} pool(s) to dex_pools; ${unresolved.length} without token0/token1`
+  );
+  if (unresolved.length > 0) {
+    console.log(`   Unresolved: ${unresolved.slice(0, 20).join(", ")}`);
+  }
+
+  // Close ClickHouse connection
+  await clickhouse.close();
+}
+
+main().catch((error) => {
+  console.error("Error:", error);
+  process.exit(1);
+});
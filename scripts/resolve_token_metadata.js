@@ -0,0 +1,116 @@
+import { parseArgs } from "node:util";
+import { config, createClickHouseClient } from "../src/config.js";
+import {
+  createMetadataClient,
+  findMissingMetadata,
+  initializeMetadataFailures,
+  initializeTokenMetadataTable,
+  recordMetadataFailures,
+  resolveTokenMetadata,
+  sourcedRow,
+  SOURCES,
+  writeTokenMetadata,
+} from "../src/metadata.js";
+
+// Resolve name/symbol/decimals over JSON-RPC for tokens that have transfers
+// but no token_metadata row on their chain:
+//   node scripts/resolve_token_metadata.js <chainId> [--rpc-url url]
+//     [--limit n]
+// The RPC URL defaults to the chain's rpcUrl (config file or RPC_URL_{id}).
+// Contracts that fail are recorded and skipped for 1, 2, 4, ... days.
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    "rpc-url": { type: "string" },
+    limit: { type: "string", default: "10000" },
+  },
+});
+
+const CHAIN_ID = parseInt(positionals[0]);
+const chainInfo = config.chains[CHAIN_ID];
+const RPC_URL = options["rpc-url"] || chainInfo?.rpcUrl;
+const LIMIT = Number(options.limit);
+
+if (!chainInfo || !Number.isInteger(LIMIT) || LIMIT < 1) {
+  console.error(
+    "Usage: node scripts/resolve_token_metadata.js <chainId> [--rpc-url url] [--limit n]"
+  );
+  process.exit(1);
+}
+if (!RPC_URL) {
+  console.error(
+    `❌ No RPC URL for ${chainInfo.name}: pass --rpc-url, set RPC_URL_${CHAIN_ID} or chains.${CHAIN_ID}.rpcUrl in config/config.json`
+  );
+  process.exit(1);
+}
+
+// Initialize ClickHouse client
+const clickhouse = createClickHouseClient();
+
+async function main() {
+  await initializeTokenMetadataTable(clickhouse, CHAIN_ID);
+  await initializeMetadataFailures(clickhouse);
+
+  const addresses = await findMissingMetadata(clickhouse, CHAIN_ID, LIMIT);
+  console.log(
+    `🔎 ${chainInfo.name}: ${addresses.length} token(s) with transfers but no metadata`
+  );
+  if (addresses.length === 0) {
+    await clickhouse.close();
+    return;
+  }
+
+  const { client, multicallAddress } = await createMetadataClient(
+    RPC_URL,
+    chainInfo.multicallAddress
+  );
+  console.log(
+    multicallAddress
+      ? `📞 Using Multicall3 at ${multicallAddress}`
+      : "📞 Multicall3 not deployed, calling each token directly"
+  );
+
+  const batchSize = config.batchSizes.rpc;
+  const version = Date.now();
+  let resolvedCount = 0;
+  const unresolved = [];
+
+  for (let i = 0; i < addresses.length; i += batchSize) {
+    const batch = addresses.slice(i, i + batchSize);
+    const result = await resolveTokenMetadata(client, batch, {
+      multicallAddress,
+    });
+
+    // Only contracts without any row are resolved, so a plain insert
+    // cannot leave two versions of one contract behind
+    await writeTokenMetadata(
+      clickhouse,
+      CHAIN_ID,
+      result.resolved.map((token) => sourcedRow(token, SOURCES.rpc, version))
+    );
+    await recordMetadataFailures(clickhouse, CHAIN_ID, result.unresolved);
+    resolvedCount += result.resolved.length;
+    unresolved.push(...result.unresolved);
+
+    console.log(
+      `  ✅ ${Math.min(i + batchSize, addresses.length)}/${
+        addresses.length
+      } checked, ${resolvedCount} resolved`
+    );
+  }
+
+  console.log(
+    `🎉 Added ${resolvedCount} token(s) to token_metadata; ${unresolved.length} without readable decimals, skipped until their retry time`
+  );
+  if (unresolved.length > 0) {
+    console.log(`   Unresolved: ${unresolved.slice(0, 20).join(", ")}`);
+  }
+
+  // Close ClickHouse connection
+  await clickhouse.close();
+}
+
+main().catch((error) => {
+  console.error("Error:", error);
+  process.exit(1);
+});
@@ -1,12 +1,8 @@
 import fs from "fs/promises";
-import { createClient } from "@clickhouse/client";
-
-const CLICKHOUSE_URL = "http://localhost:8123";
+import { createClickHouseClient, DATABASE } from "../src/config.js";
 
 // Initialize ClickHouse client
-const clickhouse = createClient({
-  url: CLICKHOUSE_URL,
-});
+const clickhouse = createClickHouseClient();
 
 // Parse SQL file to extract queries with improved handling
 function parseSQLFile(content, filename) {
@@ -147,7 +143,7 @@ async function getSampleData() {
     const contractResult = await clickhouse.query({
       query: `
         SELECT contract_address 
-        FROM token_intelligence.erc20_transfers_130 
+        FROM ${DATABASE}.erc20_transfers_130 
         LIMIT 1
       `,
       format: "JSONEachRow",
@@ -161,7 +157,7 @@ async function getSampleData() {
     const userResult = await clickhouse.query({
       query: `
         SELECT from_address 
-        FROM token_intelligence.erc20_transfers_130 
+        FROM ${DATABASE}.erc20_transfers_130 
         WHERE from_address != '0x0000000000000000000000000000000000000000'
         LIMIT 1
       `,
@@ -191,7 +187,8 @@ function replacePlaceholders(sql, sampleData) {
     .replace(/START_DATE/g, "2024-01-01 00:00:00")
     .replace(/END_DATE/g, "2024-12-31 23:59:59")
     .replace(/SEARCH_TERM/g, "USDC")
-    .replace(/CHAIN_ID/g, "130");
+    .replace(/CHAIN_ID/g, "130")
+    .replace(/\btoken_intelligence\b/g, DATABASE);
 }
 
 // Smart LIMIT addition that respects SQL structure
@@ -306,17 +303,17 @@ async function checkDatabaseSetup() {
       format: "JSONEachRow",
     });
     const databases = await dbResult.json();
-    const hasTokenDB = databases.some((db) => db.name === "token_intelligence");
+    const hasTokenDB = databases.some((db) => db.name === DATABASE);
 
     if (!hasTokenDB) {
-      console.log("❌ token_intelligence database not found");
+      console.log(`❌ ${DATABASE} database not found`);
       return false;
     }
-    console.log("✅ token_intelligence database exists");
+    console.log(`✅ ${DATABASE} database exists`);
 
     // Check if tables exist
     const tablesResult = await clickhouse.query({
-      query: "SHOW TABLES FROM token_intelligence",
+      query: `SHOW TABLES FROM ${DATABASE}`,
       format: "JSONEachRow",
     });
     const tables = await tablesResult.json();
@@ -337,8 +334,7 @@ async function checkDatabaseSetup() {
 
     // Check table data
     const dataResult = await clickhouse.query({
-      query:
-        "SELECT COUNT() as count FROM token_intelligence.erc20_transfers_130",
+      query: `SELECT COUNT() as count FROM ${DATABASE}.erc20_transfers_130`,
       format: "JSONEachRow",
     });
     const dataRows = await dataResult.json();
@@ -0,0 +1,287 @@
+import { BlockField } from "@envio-dev/hypersync-client";
+import { ChainCollector } from "./collector.js";
+import { deleteChainRows } from "./balances.js";
+import { isShuttingDown } from "./shutdown.js";
+import { targetCondition } from "./targets.js";
+import { config, DATABASE } from "./config.js";
+
+// Blocks per backfill chunk unless --chunk-size is given
+export const DEFAULT_CHUNK_SIZE = config.batchSizes.backfillChunk;
+
+// Create the tables recording completed backfill chunks and the resolved
+// ends of open-ended backfills, for all chains
+export async function initializeBackfillChunks(clickhouse) {
+  await clickhouse.command({
+    query: `
+      CREATE TABLE IF NOT EXISTS ${DATABASE}.backfill_chunks (
+        chain_id UInt64,
+        backfill_id String,
+        chunk_from UInt64,
+        chunk_to UInt64,
+        transfer_count UInt64,
+        completed_at DateTime DEFAULT now()
+      ) ENGINE = ReplacingMergeTree(completed_at)
+      ORDER BY (chain_id, backfill_id, chunk_from)
+    `,
+  });
+
+  await clickhouse.command({
+    query: `
+      CREATE TABLE IF NOT EXISTS ${DATABASE}.backfill_ends (
+        chain_id UInt64,
+        range_key String,
+        to_block UInt64,
+        resolved_at DateTime64(3) DEFAULT now64(3)
+      ) ENGINE = ReplacingMergeTree(resolved_at)
+      ORDER BY (chain_id, range_key)
+    `,
+  });
+}
+
+// End of an open-ended backfill (no --to-block or --to-date). The chain head
+// is only asked for the first time, so that re-running an interrupted
+// backfill resumes the same range instead of starting a new one.
+export async function resolveOpenBackfillEnd(
+  clickhouse,
+  chainId,
+  rangeKey,
+  resolveEnd
+) {
+  const result = await clickhouse.query({
+    query: `
+      SELECT argMin(to_block, resolved_at) as to_block
+      FROM ${DATABASE}.backfill_ends
+      WHERE chain_id = {chainId:UInt64} AND range_key = {rangeKey:String}
+      HAVING count() > 0
+    `,
+    query_params: { chainId, rangeKey },
+    format: "JSONEachRow",
+  });
+  const rows = await result.json();
+  if (rows.length > 0)
+    return { toBlock: Number(rows[0].to_block), stored: true };
+
+  const toBlock = await resolveEnd();
+  await clickhouse.insert({
+    table: `${DATABASE}.backfill_ends`,
+    values: [{ chain_id: chainId, range_key: rangeKey, to_block: toBlock }],
+    format: "JSONEachRow",
+  });
+  return { toBlock, stored: false };
+}
+
+// Forget the end of a finished open-ended backfill; running the command
+// again then backfills up to the new head
+export async function clearOpenBackfillEnd(clickhouse, chainId, rangeKey) {
+  await clickhouse.command({
+    query: `
+      DELETE FROM ${DATABASE}.backfill_ends
+      WHERE chain_id = {chainId:UInt64} AND range_key = {rangeKey:String}
+    `,
+    query_params: { chainId, rangeKey },
+  });
+}
+
+// Timestamp of a single block, or null if the archive does not have it
+async function getBlockTimestamp(client, blockNumber) {
+  const res = await client.get({
+    fromBlock: blockNumber,
+    toBlock: blockNumber + 1,
+    includeAllBlocks: true,
+    fieldSelection: { block: [BlockField.Number, BlockField.Timestamp] },
+  });
+  const block = res.data.blocks?.[0];
+  return block ? Number(block.timestamp) : null;
+}
+
+// First block with a timestamp at or after the given date (binary search)
+export async function findBlockByDate(client, date) {
+  const target = Math.floor(date.getTime() / 1000);
+  let low = 0;
+  let high = await client.getHeight();
+
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    const timestamp = await getBlockTimestamp(client, mid);
+    if (timestamp === null || timestamp < target) low = mid + 1;
+    else high = mid;
+  }
+
+  return low;
+}
+
+// Split [fromBlock, toBlock) into chunks of chunkSize blocks
+export function splitRange(fromBlock, toBlock, chunkSize) {
+  const chunks = [];
+  for (let start = fromBlock; start < toBlock; start += chunkSize) {
+    chunks.push({
+      fromBlock: start,
+      toBlock: Math.min(start + chunkSize, toBlock),
+    });
+  }
+  return chunks;
+}
+
+async function getCompletedChunks(clickhouse, chainId, backfillId) {
+  const result = await clickhouse.query({
+    query: `
+      SELECT DISTINCT chunk_from
+      FROM ${DATABASE}.backfill_chunks
+      WHERE chain_id = {chainId:UInt64} AND backfill_id = {backfillId:String}
+    `,
+    query_params: { chainId, backfillId },
+    format: "JSONEachRow",
+  });
+  const rows = await result.json();
+  return new Set(rows.map((row) => Number(row.chunk_from)));
+}
+
+// Forget the chunks of a finished backfill, so that running it again
+// re-collects the whole range
+async function clearCompletedChunks(clickhouse, chainId, backfillId) {
+  await clickhouse.command({
+    query: `
+      DELETE FROM ${DATABASE}.backfill_chunks
+      WHERE chain_id = {chainId:UInt64} AND backfill_id = {backfillId:String}
+    `,
+    query_params: { chainId, backfillId },
+  });
+}
+
+// Re-collect [fromBlock, toBlock) for one chain. The range is split into
+// chunks that are streamed by `shards` concurrent collectors into the regular
+// tables. Completed chunks are recorded until the whole range is done, so
+// re-running an interrupted backfill only processes the chunks that did not
+// finish.
+// With `targets` only the token events of those tokens/wallets are replaced;
+// transactions, native transfers and pool events are left alone.
+// The chain's tables must already be set up (`initializeDatabase` of its
+// ChainCollector).
+// `client` is shared by every chunk in place of a Hypersync client per chunk
+// (e.g. a ReplayClient).
+export async function runBackfill(clickhouse, chainId, chainInfo, options) {
+  const {
+    fromBlock,
+    toBlock,
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    shards = 1,
+    prefix = "",
+    transactions = false,
+    native = false,
+    prices = false,
+    targets = null,
+    label = "",
+    client = null,
+  } = options;
+  const log = (...args) =>
+    prefix ? console.log(prefix, ...args) : console.log(...args);
+
+  // Opt-ins apply to the whole chain, so targeted backfills leave them out
+  const optIns = {
+    transactions: transactions && !targets,
+    native: native && !targets,
+    prices: prices && !targets,
+  };
+
+  // Chunks collected with other opt-ins do not count as done
+  const backfillId = [
+    label,
+    `${fromBlock}-${toBlock}`,
+    ...Object.keys(optIns).filter((name) => optIns[name]),
+  ]
+    .filter(Boolean)
+    .join(":");
+  const chunks = splitRange(fromBlock, toBlock, chunkSize);
+  const completed = await getCompletedChunks(clickhouse, chainId, backfillId);
+  const pending = chunks.filter((chunk) => !completed.has(chunk.fromBlock));
+
+  log(
+    `🧩 Backfill ${backfillId} on ${chainInfo.name}: ${chunks.length} chunks, ${completed.size} already complete, ${shards} shard(s)`
+  );
+
+  const failedChunks = [];
+  let nextChunk = 0;
+  let completedChunks = 0;
+  let interruptedChunks = 0;
+
+  // Each shard takes the next pending chunk until none are left
+  const runShard = async () => {
+    while (nextChunk < pending.length && !isShuttingDown()) {
+      const chunk = pending[nextChunk++];
+      const collector = new ChainCollector(chainId, chainInfo, clickhouse, {
+        range: chunk,
+        client,
+        ...optIns,
+        targets,
+        verbose: false,
+        prefix: `${prefix}[${chunk.fromBlock}-${chunk.toBlock}]`.trim(),
+      });
+
+      try {
+        // Drop what a previous collection or interrupted attempt wrote here
+        const tables = targets
+          ? Object.keys(collector.walletColumns)
+          : collector.rollbackTables;
+        for (const table of tables) {
+          const scope = targets
+            ? ` AND ${targetCondition(targets, collector.walletColumns[table])}`
+            : "";
+          await deleteChainRows(
+            clickhouse,
+            chainId,
+            table,
+            `block_number >= ${chunk.fromBlock} AND block_number < ${chunk.toBlock}${scope}`
+          );
+        }
+
+        await collector.run();
+
+        // An interrupted chunk is collected again on the next run
+        if (collector.stopping) {
+          interruptedChunks++;
+          continue;
+        }
+
+        await clickhouse.insert({
+          table: `${DATABASE}.backfill_chunks`,
+          values: [
+            {
+              chain_id: chainId,
+              backfill_id: backfillId,
+              chunk_from: chunk.fromBlock,
+              chunk_to: chunk.toBlock,
+              transfer_count: collector.stats.totalEvents,
+            },
+          ],
+          format: "JSONEachRow",
+        });
+        completedChunks++;
+      } catch (error) {
+        collector.log("❌ Chunk failed:", error.message);
+        failedChunks.push(chunk);
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(shards, pending.length) }, runShard)
+  );
+
+  log(
+    `✅ Backfill ${backfillId} on ${chainInfo.name}: ${completedChunks}/${pending.length} remaining chunks completed`
+  );
+  if (completedChunks === pending.length) {
+    await clearCompletedChunks(clickhouse, chainId, backfillId);
+  }
+  if (isShuttingDown()) {
+    log(
+      `🛑 Backfill interrupted (${interruptedChunks} chunk(s) stopped mid-way); re-run the same command to finish it`
+    );
+  }
+
+  if (failedChunks.length > 0) {
+    throw new Error(
+      `${failedChunks.length} backfill chunk(s) failed; re-run the same backfill to retry them`
+    );
+  }
+}
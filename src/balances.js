@@ -0,0 +1,106 @@
+import { readCheckpoint, writeCheckpoint } from "./checkpoint.js";
+import { DATABASE } from "./config.js";
+
+// Token balances per holder: erc20_balances_{chainId} holds signed balance
+// deltas per (contract_address, holder_address), fed by a materialized view
+// on erc20_transfers_{chainId}. SummingMergeTree adds the deltas up as parts
+// merge (dropping holders back at zero), so a query sums what is not merged
+// yet with SUM(balance) ... GROUP BY.
+//
+// A materialized view only sees inserts. Transfers deleted by a reorg,
+// resume or backfill are taken back out of the balances first, see
+// deleteChainRows.
+
+const transfersTableName = (chainId) => `erc20_transfers_${chainId}`;
+
+export function balancesTableName(chainId) {
+  return `erc20_balances_${chainId}`;
+}
+
+export function balancesViewName(chainId) {
+  return `erc20_balances_mv_${chainId}`;
+}
+
+// sync_state entry written once the transfers stored before the view were
+// summed in. Until then the balances are incomplete and get rebuilt.
+const FILLED_EVENT_TYPE = "erc20_balances";
+
+const isFilled = async (clickhouse, chainId) =>
+  (await readCheckpoint(clickhouse, chainId, FILLED_EVENT_TYPE)) !== null;
+
+// Deltas of transfers: the sender loses value, the recipient gains it.
+// Reverted deltas take transfers back out.
+function deltasQuery(chainId, { revert = false, where } = {}) {
+  const [sent, received] = revert
+    ? ["toInt256(value)", "-toInt256(value)"]
+    : ["-toInt256(value)", "toInt256(value)"];
+  return `
+    SELECT contract_address, holder_address, balance
+    FROM ${DATABASE}.${transfersTableName(chainId)}
+    ARRAY JOIN [from_address, to_address] AS holder_address,
+               [${sent}, ${received}] AS balance
+    ${where ? `WHERE ${where}` : ""}
+  `;
+}
+
+// Create the balance table and its materialized view, once per chain and
+// before any collector of the chain starts (src/collect.js). The first run
+// sums in the transfers stored so far.
+export async function initializeBalanceTables(clickhouse, chainId) {
+  const table = balancesTableName(chainId);
+  const view = balancesViewName(chainId);
+
+  await clickhouse.command({
+    query: `
+      CREATE TABLE IF NOT EXISTS ${DATABASE}.${table} (
+        contract_address LowCardinality(String),
+        holder_address String,
+        balance Int256,
+
+        INDEX idx_holder holder_address TYPE bloom_filter GRANULARITY 1
+      ) ENGINE = SummingMergeTree(balance)
+      ORDER BY (contract_address, holder_address)
+    `,
+  });
+
+  if (await isFilled(clickhouse, chainId)) return;
+
+  // A first run, or a fill that was interrupted: start over. The view goes
+  // first, so transfers inserted while the fill runs are not missed.
+  await clickhouse.command({
+    query: `DROP VIEW IF EXISTS ${DATABASE}.${view}`,
+  });
+  await clickhouse.command({
+    query: `TRUNCATE TABLE ${DATABASE}.${table}`,
+  });
+  await clickhouse.command({
+    query: `
+      CREATE MATERIALIZED VIEW ${DATABASE}.${view}
+      TO ${DATABASE}.${table} AS ${deltasQuery(chainId)}
+    `,
+  });
+  await clickhouse.command({
+    query: `INSERT INTO ${DATABASE}.${table} ${deltasQuery(chainId)}`,
+  });
+
+  // next_block is not used, the entry only marks the fill as done
+  await writeCheckpoint(clickhouse, chainId, FILLED_EVENT_TYPE, 0);
+}
+
+// Delete rows of a chain table. Deleted transfers are subtracted from the
+// balances before they go, unless the balances are rebuilt anyway.
+export async function deleteChainRows(clickhouse, chainId, table, where) {
+  if (
+    table === transfersTableName(chainId) &&
+    (await isFilled(clickhouse, chainId))
+  ) {
+    await clickhouse.command({
+      query: `INSERT INTO ${DATABASE}.${balancesTableName(
+        chainId
+      )} ${deltasQuery(chainId, { revert: true, where })}`,
+    });
+  }
+  await clickhouse.command({
+    query: `DELETE FROM ${DATABASE}.${table} WHERE ${where}`,
+  });
+}
@@ -0,0 +1,59 @@
+// Built-in chain configuration - matches available token metadata. Chains can
+// be added or overridden in the config file (see src/config.js).
+// wrappedNative (optional) is the chain's WETH9-style contract, whose Deposit and
+// Withdrawal events are collected as mints and burns.
+export const CHAIN_CONFIG = {
+  1: {
+    name: "Ethereum",
+    hypersyncUrl: "http://1.hypersync.xyz",
+    wrappedNative: "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2",
+  },
+  10: {
+    name: "Optimism",
+    hypersyncUrl: "http://10.hypersync.xyz",
+    wrappedNative: "0x4200000000000000000000000000000000000006",
+  },
+  56: {
+    name: "BSC",
+    hypersyncUrl: "http://56.hypersync.xyz",
+    wrappedNative: "0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c",
+  },
+  130: {
+    name: "Unichain",
+    hypersyncUrl: "http://130.hypersync.xyz",
+    wrappedNative: "0x4200000000000000000000000000000000000006",
+  },
+  137: {
+    name: "Polygon",
+    hypersyncUrl: "http://137.hypersync.xyz",
+    wrappedNative: "0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270",
+  },
+  480: {
+    name: "World Chain",
+    hypersyncUrl: "http://480.hypersync.xyz",
+    wrappedNative: "0x4200000000000000000000000000000000000006",
+  },
+  1868: { name: "Lightlink", hypersyncUrl: "http://1868.hypersync.xyz" },
+  7777777: {
+    name: "Zora",
+    hypersyncUrl: "http://7777777.hypersync.xyz",
+    wrappedNative: "0x4200000000000000000000000000000000000006",
+  },
+  8453: {
+    name: "Base",
+    hypersyncUrl: "http://8453.hypersync.xyz",
+    wrappedNative: "0x4200000000000000000000000000000000000006",
+  },
+  42161: {
+    name: "Arbitrum",
+    hypersyncUrl: "http://42161.hypersync.xyz",
+    wrappedNative: "0x82af49447d8a07e3bd95bd0d56f35241523fbab1",
+  },
+  43114: {
+    name: "Avalanche",
+    hypersyncUrl: "http://43114.hypersync.xyz",
+    wrappedNative: "0xb31f66aa3c1e785363f0875a1b74e27b85fd66c7",
+  },
+  // Blast WETH is rebasing and not a WETH9 clone, so it is left out
+  81457: { name: "Blast", hypersyncUrl: "http://81457.hypersync.xyz" },
+};
@@ -0,0 +1,90 @@
+import { DATABASE } from "./config.js";
+
+// Sync checkpoints: the block each chain/event type will resume from.
+// A checkpoint is only written after the data below it has been inserted,
+// with the hash of the block below it when the stream reported one.
+
+// Create the checkpoint table shared by all chains
+export async function initializeSyncState(clickhouse) {
+  await clickhouse.command({
+    query: `
+      CREATE TABLE IF NOT EXISTS ${DATABASE}.sync_state (
+        chain_id UInt64,
+        event_type LowCardinality(String),
+        next_block UInt64,
+        updated_at DateTime64(3) DEFAULT now64(3)
+      ) ENGINE = ReplacingMergeTree(updated_at)
+      ORDER BY (chain_id, event_type)
+    `,
+  });
+
+  // Added after the table; checked against the chain on resume
+  await clickhouse.command({
+    query: `
+      ALTER TABLE ${DATABASE}.sync_state
+      ADD COLUMN IF NOT EXISTS block_hash String DEFAULT ''
+    `,
+  });
+}
+
+// Read the block to resume from, or null when nothing has been recorded yet
+export async function readCheckpoint(clickhouse, chainId, eventType) {
+  const result = await clickhouse.query({
+    query: `
+      SELECT argMax(next_block, updated_at) as next_block
+      FROM ${DATABASE}.sync_state
+      WHERE chain_id = {chainId:UInt64} AND event_type = {eventType:String}
+      HAVING count() > 0
+    `,
+    query_params: { chainId, eventType },
+    format: "JSONEachRow",
+  });
+
+  const rows = await result.json();
+  return rows.length > 0 ? Number(rows[0].next_block) : null;
+}
+
+// Read the checkpoint with the hash of the block below it ("" if unknown),
+// or null when nothing has been recorded yet
+export async function readCheckpointHead(clickhouse, chainId, eventType) {
+  const result = await clickhouse.query({
+    query: `
+      SELECT argMax(next_block, updated_at) as next_block,
+             argMax(block_hash, updated_at) as block_hash
+      FROM ${DATABASE}.sync_state
+      WHERE chain_id = {chainId:UInt64} AND event_type = {eventType:String}
+      HAVING count() > 0
+    `,
+    query_params: { chainId, eventType },
+    format: "JSONEachRow",
+  });
+
+  const rows = await result.json();
+  if (rows.length === 0) return null;
+  return {
+    nextBlock: Number(rows[0].next_block),
+    blockHash: rows[0].block_hash,
+  };
+}
+
+// Record that everything below nextBlock has been flushed
+export async function writeCheckpoint(
+  clickhouse,
+  chainId,
+  eventType,
+  nextBlock,
+  blockHash = ""
+) {
+  await clickhouse.insert({
+    table: `${DATABASE}.sync_state`,
+    values: [
+      {
+        chain_id: chainId,
+        event_type: eventType,
+        next_block: nextBlock,
+        block_hash: blockHash,
+      },
+    ],
+    format: "JSONEachRow",
+  });
+}
@@ -1,392 +1,383 @@
-import { keccak256, toHex } from "viem";
+import { parseArgs } from "node:util";
+import { config, createClickHouseClient, DATABASE } from "./config.js";
+import { ChainCollector, EVENT_TYPE } from "./collector.js";
+import { initializeReorgLog } from "./reorg.js";
+import { initializeBalanceTables } from "./balances.js";
+import { initializeSyncState, readCheckpoint } from "./checkpoint.js";
 import {
-  HypersyncClient,
-  LogField,
-  JoinMode,
-  BlockField,
-  TransactionField,
-  HexOutput,
-  DataType,
-  Decoder,
-} from "@envio-dev/hypersync-client";
-import { createClient } from "@clickhouse/client";
-
-// Chain configuration - matches available token metadata
-const CHAIN_CONFIG = {
-  1: { name: "Ethereum", hypersyncUrl: "http://1.hypersync.xyz" },
-  10: { name: "Optimism", hypersyncUrl: "http://10.hypersync.xyz" },
-  56: { name: "BSC", hypersyncUrl: "http://56.hypersync.xyz" },
-  130: { name: "Unichain", hypersyncUrl: "http://130.hypersync.xyz" },
-  137: { name: "Polygon", hypersyncUrl: "http://137.hypersync.xyz" },
-  480: { name: "World Chain", hypersyncUrl: "http://480.hypersync.xyz" },
-  1868: { name: "Lightlink", hypersyncUrl: "http://1868.hypersync.xyz" },
-  7777777: { name: "Zora", hypersyncUrl: "http://7777777.hypersync.xyz" },
-  8453: { name: "Base", hypersyncUrl: "http://8453.hypersync.xyz" },
-  42161: { name: "Arbitrum", hypersyncUrl: "http://42161.hypersync.xyz" },
-  43114: { name: "Avalanche", hypersyncUrl: "http://43114.hypersync.xyz" },
-  81457: { name: "Blast", hypersyncUrl: "http://81457.hypersync.xyz" },
-};
+  clearOpenBackfillEnd,
+  DEFAULT_CHUNK_SIZE,
+  findBlockByDate,
+  initializeBackfillChunks,
+  resolveOpenBackfillEnd,
+  runBackfill,
+} from "./backfill.js";
+import { installSignalHandlers, isShuttingDown } from "./shutdown.js";
+import {
+  initializeTrackedTargets,
+  loadTargets,
+  markTargetBackfilled,
+  syncTrackedTargets,
+} from "./targets.js";
+
+// Parse command line:
+//   [chainId] [--chains 1,10,8453 | --all]
+//   [--follow] [--flush-interval s] [--confirmations n]
+//   [--from-block n | --from-date d] [--to-block n | --to-date d]
+//   [--shards n] [--chunk-size blocks] [--transactions] [--native]
+//   [--prices] [--targets file]
+const { values: cliOptions, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    chains: { type: "string" },
+    all: { type: "boolean", default: false },
+    follow: { type: "boolean", default: false },
+    "flush-interval": { type: "string", default: "10" },
+    confirmations: { type: "string", default: "0" },
+    "from-block": { type: "string" },
+    "to-block": { type: "string" },
+    "from-date": { type: "string" },
+    "to-date": { type: "string" },
+    shards: { type: "string", default: "1" },
+    "chunk-size": { type: "string", default: String(DEFAULT_CHUNK_SIZE) },
+    transactions: { type: "boolean", default: false },
+    native: { type: "boolean", default: false },
+    prices: { type: "boolean", default: false },
+    targets: { type: "string" },
+  },
+});
 
-// Get chain ID from command line argument or default to Unichain
-const CHAIN_ID = parseInt(process.argv[2]) || 130;
+// Get chain IDs from the command line or default to Unichain
+const CHAIN_IDS = cliOptions.all
+  ? Object.keys(config.chains).map(Number)
+  : cliOptions.chains
+  ? cliOptions.chains.split(",").map((id) => parseInt(id.trim()))
+  : [parseInt(positionals[0]) || 130];
 
-// Validate chain ID
-if (!CHAIN_CONFIG[CHAIN_ID]) {
-  console.error(`❌ Unsupported chain ID: ${CHAIN_ID}`);
-  console.log(
-    "Available chains:",
-    Object.keys(CHAIN_CONFIG)
-      .map((id) => `${id} (${CHAIN_CONFIG[id].name})`)
-      .join(", ")
-  );
-  process.exit(1);
-}
+// Keep polling for new blocks after reaching the tip
+const FOLLOW = cliOptions.follow;
 
-const chainInfo = CHAIN_CONFIG[CHAIN_ID];
-console.log(
-  `🚀 Collecting ERC20 transfers for ${chainInfo.name} (Chain ID: ${CHAIN_ID})`
-);
+// Flush partial batches at least this often so data is never older than this
+const FLUSH_INTERVAL_MS = Number(cliOptions["flush-interval"]) * 1000;
 
-// Define ERC20 Transfer event signature
-const event_signatures = ["Transfer(address,address,uint256)"];
+// Stay this many blocks behind the chain head
+const CONFIRMATIONS = Number(cliOptions.confirmations);
 
-// Create topic0 hashes from event signatures
-const topic0_list = event_signatures.map((sig) => keccak256(toHex(sig)));
+// A bounded range re-collects history instead of resuming from the checkpoint
+const BACKFILL = ["from-block", "to-block", "from-date", "to-date"].some(
+  (option) => cliOptions[option] !== undefined
+);
+const SHARDS = Number(cliOptions.shards);
+const CHUNK_SIZE = Number(cliOptions["chunk-size"]);
 
-// Initialize Hypersync client for selected chain
-const client = HypersyncClient.new({
-  url: chainInfo.hypersyncUrl,
-});
+// Also store the transactions behind collected events (transactions_{chainId})
+const TRANSACTIONS = cliOptions.transactions;
 
-// Initialize ClickHouse client
-const clickhouse = createClient({
-  url: "http://localhost:8123",
-});
+// Also store native value transfers of top-level transactions
+const NATIVE = cliOptions.native;
 
-// Get resume position by finding and deleting the last (potentially incomplete) block
-async function getResumeBlock(tableName) {
+// Also store Uniswap V2/V3 pool events (dex_swaps_{chainId}, dex_syncs_{chainId})
+const PRICES = cliOptions.prices;
+
+// Token allowlist / wallet watchlist per chain, or null to collect everything
+let TARGETS = null;
+if (cliOptions.targets) {
   try {
-    const result = await clickhouse.query({
-      query: `SELECT MAX(block_number) as max_block FROM token_intelligence.${tableName}`,
-      format: "JSONEachRow",
-    });
+    TARGETS = await loadTargets(cliOptions.targets);
+  } catch (error) {
+    console.error(
+      `❌ Invalid targets file ${cliOptions.targets}:`,
+      error.message
+    );
+    process.exit(1);
+  }
+}
 
-    const rows = await result.json();
-    if (rows.length === 0 || !rows[0].max_block) {
-      console.log("📊 No existing data found, starting from block 0");
-      return 0;
-    }
+// How often the combined progress line is printed when running several chains
+const PROGRESS_INTERVAL_MS = 10000;
 
-    const lastBlock = parseInt(rows[0].max_block);
+// Validate chain IDs
+const unsupportedChains = CHAIN_IDS.filter((id) => !config.chains[id]);
+if (unsupportedChains.length > 0 || CHAIN_IDS.length === 0) {
+  console.error(`❌ Unsupported chain ID: ${unsupportedChains.join(", ")}`);
+  console.log(
+    "Available chains:",
+    Object.keys(config.chains)
+      .map((id) => `${id} (${config.chains[id].name})`)
+      .join(", ")
+  );
+  process.exit(1);
+}
 
-    // Delete the potentially incomplete last block
-    await clickhouse.command({
-      query: `DELETE FROM token_intelligence.${tableName} WHERE block_number = ${lastBlock}`,
-    });
+const untargetedChains = TARGETS ? CHAIN_IDS.filter((id) => !TARGETS[id]) : [];
+if (untargetedChains.length > 0) {
+  console.error(
+    `❌ ${
+      cliOptions.targets
+    } has no tokens or wallets for chain(s): ${untargetedChains.join(", ")}`
+  );
+  process.exit(1);
+}
 
-    console.log(`🗑️  Deleted potentially incomplete block ${lastBlock}`);
-    console.log(`📊 Resuming collection from block ${lastBlock}`);
+if (
+  !(FLUSH_INTERVAL_MS > 0) ||
+  !Number.isInteger(CONFIRMATIONS) ||
+  CONFIRMATIONS < 0
+) {
+  console.error(
+    "❌ --flush-interval must be a positive number of seconds and --confirmations a non-negative integer"
+  );
+  process.exit(1);
+}
 
-    return lastBlock;
-  } catch (error) {
-    console.log("📊 No existing data found, starting from block 0");
-    return 0;
+if (BACKFILL) {
+  const invalid = [
+    ["from-block", (v) => Number.isInteger(Number(v)) && Number(v) >= 0],
+    ["to-block", (v) => Number.isInteger(Number(v)) && Number(v) >= 0],
+    ["from-date", (v) => !isNaN(Date.parse(v))],
+    ["to-date", (v) => !isNaN(Date.parse(v))],
+  ].filter(
+    ([option, isValid]) =>
+      cliOptions[option] !== undefined && !isValid(cliOptions[option])
+  );
+  if (
+    invalid.length > 0 ||
+    !Number.isInteger(SHARDS) ||
+    SHARDS < 1 ||
+    !Number.isInteger(CHUNK_SIZE) ||
+    CHUNK_SIZE < 1
+  ) {
+    console.error(
+      "❌ Invalid backfill options: blocks must be non-negative integers, dates parseable, --shards and --chunk-size positive integers"
+    );
+    process.exit(1);
+  }
+  if (FOLLOW) {
+    console.error("❌ --follow cannot be combined with a bounded block range");
+    process.exit(1);
   }
 }
 
-// Initialize database and chain-specific table
+// Initialize ClickHouse client
+const clickhouse = createClickHouseClient();
+
+// Initialize database and tables shared by all chains
 async function initializeDatabase() {
-  const tableName = `erc20_transfers_${CHAIN_ID}`;
-  console.log(`Setting up ClickHouse database and table: ${tableName}...`);
+  console.log("Setting up ClickHouse database...");
 
   // Create database if it doesn't exist
   await clickhouse.command({
-    query: "CREATE DATABASE IF NOT EXISTS token_intelligence",
+    query: `CREATE DATABASE IF NOT EXISTS ${DATABASE}`,
   });
 
-  // Create chain-specific table (don't drop existing data!)
-  await clickhouse.command({
-    query: `
-      CREATE TABLE IF NOT EXISTS token_intelligence.${tableName} (
-        block_number UInt64,
-        block_timestamp DateTime,
-        log_index UInt32,
-        transaction_hash String,
-        contract_address LowCardinality(String),
-        from_address String,
-        to_address String,
-        value UInt256,
-        db_write_timestamp DateTime DEFAULT now(),
-        
-        INDEX idx_contract contract_address TYPE bloom_filter GRANULARITY 1
-      ) ENGINE = MergeTree()
-      ORDER BY (contract_address, block_number, log_index)
-      PARTITION BY toDate(block_timestamp)
-    `,
-  });
+  await initializeReorgLog(clickhouse);
+  await initializeSyncState(clickhouse);
+  await initializeBackfillChunks(clickhouse);
+  await initializeTrackedTargets(clickhouse);
 
-  console.log(`✅ Database and table ready: ${tableName}!`);
-  return tableName;
+  console.log("✅ Database ready!");
 }
 
-// Define query for ERC20 Transfer events
-let query = {
-  fromBlock: 0, // Will be updated by getResumeBlock
-  logs: [
-    {
-      topics: [topic0_list],
-    },
-  ],
-  fieldSelection: {
-    block: [BlockField.Number, BlockField.Timestamp],
-    log: [
-      LogField.LogIndex,
-      // LogField.TransactionIndex,
-      LogField.TransactionHash,
-      LogField.Data,
-      LogField.Address,
-      LogField.Topic0,
-      LogField.Topic1,
-      LogField.Topic2,
-      LogField.Topic3,
-    ],
-    // transaction: [
-    //   TransactionField.From,
-    //   TransactionField.To,
-    //   TransactionField.Hash,
-    //   TransactionField.Value,
-    // ],
-  },
-  joinMode: JoinMode.JoinTransactions,
-};
+// One line summarizing every chain that is being collected
+function printCombinedProgress(collectors) {
+  const parts = collectors.map(({ chainInfo, stats, pendingRows }) => {
+    return `${chainInfo.name} ${stats.status} @${stats.nextBlock} (${stats.totalEvents} events, ${pendingRows} pending)`;
+  });
+  const totalEvents = collectors.reduce(
+    (sum, { stats }) => sum + stats.totalEvents,
+    0
+  );
+  console.log(`📈 ${totalEvents} events | ${parts.join(" | ")}`);
+}
 
-// Batch insert function for better performance
-async function insertTransferBatch(transfers, tableName) {
-  if (transfers.length === 0) return;
+// Resolve the backfill range of a chain to [fromBlock, toBlock)
+async function resolveBackfillRange(collector) {
+  const { client } = collector;
 
-  try {
-    await clickhouse.insert({
-      table: `token_intelligence.${tableName}`,
-      values: transfers,
-      format: "JSONEachRow",
-    });
-  } catch (error) {
-    if (error.message.includes("Invalid string length")) {
-      console.error("🔍 String length error detected!");
-      console.error("📏 Investigating batch data...");
-
-      // Log problematic records
-      transfers.forEach((transfer, i) => {
-        Object.entries(transfer).forEach(([key, value]) => {
-          if (typeof value === "string" && value.length > 100) {
-            console.error(
-              `  Record ${i}, ${key}: ${
-                value.length
-              } chars - "${value.substring(0, 50)}..."`
-            );
-          }
-          if (typeof value === "bigint" && value > BigInt("1e30")) {
-            console.error(
-              `  Record ${i}, ${key}: extremely large BigInt - ${value.toString()}`
-            );
-          }
-        });
-      });
-
-      // Try to continue with sanitized data
-      const sanitizedTransfers = transfers.map((transfer) => ({
-        ...transfer,
-        transaction_hash: transfer.transaction_hash?.substring(0, 66) || "",
-        contract_address: transfer.contract_address?.substring(0, 42) || "",
-        from_address: transfer.from_address?.substring(0, 42) || "",
-        to_address: transfer.to_address?.substring(0, 42) || "",
-        value:
-          typeof transfer.value === "bigint"
-            ? transfer.value.toString()
-            : transfer.value,
-      }));
-
-      console.log("🔄 Retrying with sanitized data...");
-      await clickhouse.insert({
-        table: `token_intelligence.${tableName}`,
-        values: sanitizedTransfers,
-        format: "JSONEachRow",
-      });
-    } else {
-      throw error; // Re-throw other errors
-    }
+  const fromBlock =
+    cliOptions["from-block"] !== undefined
+      ? Number(cliOptions["from-block"])
+      : cliOptions["from-date"] !== undefined
+      ? await findBlockByDate(client, new Date(cliOptions["from-date"]))
+      : 0;
+
+  // --to-block is inclusive, --to-date is the first moment not included
+  if (cliOptions["to-block"] !== undefined) {
+    return { fromBlock, toBlock: Number(cliOptions["to-block"]) + 1 };
+  }
+  if (cliOptions["to-date"] !== undefined) {
+    const toDate = new Date(cliOptions["to-date"]);
+    return { fromBlock, toBlock: await findBlockByDate(client, toDate) };
+  }
+
+  // Up to the head the first time; re-runs resume that same range
+  const openEndKey = `${fromBlock}-head`;
+  const { toBlock, stored } = await resolveOpenBackfillEnd(
+    clickhouse,
+    collector.chainId,
+    openEndKey,
+    async () => (await client.getHeight()) + 1
+  );
+  if (stored) {
+    collector.log(
+      `♻️  Resuming the open-ended backfill from block ${fromBlock} up to ${toBlock}`
+    );
   }
+  return { fromBlock, toBlock, openEndKey };
 }
 
-const main = async () => {
-  console.log("Starting ERC20 Transfer event scan...");
+// Backfill one chain's bounded range
+async function backfillChain(collector) {
+  const { fromBlock, toBlock, openEndKey } = await resolveBackfillRange(
+    collector
+  );
+  if (toBlock <= fromBlock) {
+    collector.log(`ℹ️  Empty block range ${fromBlock}-${toBlock}, skipping`);
+    return;
+  }
 
-  // Initialize database and table
-  const tableName = await initializeDatabase();
+  collector.stats.status = "backfilling";
+  await runBackfill(clickhouse, collector.chainId, collector.chainInfo, {
+    fromBlock,
+    toBlock,
+    chunkSize: CHUNK_SIZE,
+    shards: SHARDS,
+    prefix: collector.prefix,
+    transactions: TRANSACTIONS,
+    native: NATIVE,
+    prices: PRICES,
+    targets: collector.targets,
+  });
 
-  // Get resume position and update query
-  const resumeBlock = await getResumeBlock(tableName);
-  query.fromBlock = resumeBlock;
+  // A finished open-ended backfill goes up to the then current head next time
+  if (openEndKey && !isShuttingDown()) {
+    await clearOpenBackfillEnd(clickhouse, collector.chainId, openEndKey);
+  }
+  collector.stats.status = "done";
+}
 
-  // Create decoder outside the loop for better performance
-  const decoder = Decoder.fromSignatures([
-    "Transfer(address indexed from, address indexed to, uint256 value)",
-  ]);
+// Backfill the history of targets added to the file since the last run, one
+// entry at a time, up to the checkpoint the chain had when it was added
+async function backfillNewTargets(collector) {
+  const { chainId, chainInfo, targets } = collector;
+  const checkpoint = await readCheckpoint(clickhouse, chainId, EVENT_TYPE);
+  const pending = await syncTrackedTargets(
+    clickhouse,
+    chainId,
+    targets,
+    checkpoint
+  );
 
-  let totalEvents = 0;
-  let totalTransferValue = BigInt(0);
-  let transferBatch = [];
-  const BATCH_SIZE = 1000; // Insert every 1000 records
-  const startTime = performance.now();
+  for (const entry of pending) {
+    if (isShuttingDown()) return;
+    collector.log(
+      `🎯 New ${entry.kind} entry ${entry.address}: backfilling blocks 0-${entry.backfillTo}`
+    );
 
-  // Start streaming events
-  const stream = await client.stream(query, {});
+    // The new entry, combined with the other list as usual
+    const entryTargets = { ...targets, [entry.kind]: [entry.address] };
+    await runBackfill(clickhouse, chainId, chainInfo, {
+      fromBlock: 0,
+      toBlock: entry.backfillTo,
+      chunkSize: CHUNK_SIZE,
+      shards: SHARDS,
+      prefix: collector.prefix,
+      targets: entryTargets,
+      label: `${entry.kind}:${entry.address}`,
+    });
+    if (!isShuttingDown()) {
+      await markTargetBackfilled(clickhouse, chainId, entry);
+    }
+  }
+}
 
-  while (true) {
-    const res = await stream.recv();
+// Catch up on new targets, then stream as usual
+async function collectChain(collector) {
+  if (collector.targets) await backfillNewTargets(collector);
+  if (isShuttingDown()) return;
+  await collector.run();
+}
 
-    // Exit if we've reached the end of the chain
-    if (res === null) {
-      console.log("Reached the tip of the blockchain");
-      break;
-    }
+// Set up a chain's tables once, then backfill or collect it. Balances are set
+// up before any collector or backfill shard of the chain writes transfers
+async function runChain(collector) {
+  await collector.initializeDatabase();
+  await initializeBalanceTables(clickhouse, collector.chainId);
+  await (BACKFILL ? backfillChain(collector) : collectChain(collector));
+}
 
-    // Process logs if available
-    if (res.data && res.data.logs) {
-      totalEvents += res.data.logs.length;
-
-      // Decode logs
-      const decodedLogs = await decoder.decodeLogs(res.data.logs);
-
-      // Get block data for this batch
-      const blockData = res.data.blocks?.[0] || {};
-      const blockNumber = blockData.number || 0;
-      const blockTimestamp = blockData.timestamp
-        ? new Date(Number(blockData.timestamp) * 1000)
-            .toISOString()
-            .slice(0, 19)
-            .replace("T", " ")
-        : new Date().toISOString().slice(0, 19).replace("T", " ");
-
-      // Track if we've printed an event for this batch
-      let printedEventThisBatch = false;
-
-      // Process transfer events - need both original logs and decoded logs
-      for (let i = 0; i < decodedLogs.length; i++) {
-        const log = decodedLogs[i];
-        const originalLog = res.data.logs[i];
-
-        // Skip invalid logs
-        if (log === null) {
-          continue;
-        }
-
-        // Access the decoded values directly without using JSON.stringify
-        try {
-          // Get from and to addresses from indexed parameters
-          const from = log.indexed[0]?.val.toString() || "0x0";
-          const to = log.indexed[1]?.val.toString() || "0x0";
-
-          // Get transfer value from body
-          const value = log.body[0]?.val || BigInt(0);
-
-          // Get contract address, log index, and transaction hash from original log data
-          const contractAddress = originalLog.address || "0x0";
-          const logIndex = originalLog.logIndex || 0;
-          const transactionHash = originalLog.transactionHash || "0x0";
-
-          // Track total transfer value for statistics
-          totalTransferValue += value;
-
-          // Add to batch for database insertion
-          transferBatch.push({
-            block_number: blockNumber,
-            block_timestamp: blockTimestamp,
-            log_index: logIndex,
-            transaction_hash: transactionHash,
-            contract_address: contractAddress,
-            from_address: from,
-            to_address: to,
-            value: value.toString(), // Convert BigInt to string for ClickHouse UInt256
-          });
-
-          // Print details for just the first transfer event in each batch
-          if (!printedEventThisBatch) {
-            console.log(
-              `\nSample Transfer Event from Block ${blockNumber} (${blockTimestamp}):`
-            );
-            console.log(`  Log Index: ${logIndex}`);
-            console.log(`  Transaction: ${transactionHash}`);
-            console.log(`  Contract: ${contractAddress}`);
-            console.log(`  From: ${from}`);
-            console.log(`  To: ${to}`);
-            console.log(`  Value: ${value.toString()}`);
-
-            // Mark that we've printed an event for this batch
-            printedEventThisBatch = true;
-          }
-        } catch (error) {
-          console.log("Error processing transfer event:", error.message);
-        }
-      }
-
-      // Insert batch when it reaches the batch size
-      if (transferBatch.length >= BATCH_SIZE) {
-        try {
-          await insertTransferBatch(transferBatch, tableName);
-          console.log(
-            `💾 Inserted ${transferBatch.length} transfers to database`
-          );
-          transferBatch = []; // Clear the batch
-        } catch (error) {
-          console.log("Error inserting batch:", error.message);
-        }
-      }
-    }
+const main = async () => {
+  const multiChain = CHAIN_IDS.length > 1;
+  console.log(
+    `Starting token Transfer/Approval event scan for ${CHAIN_IDS.length} chain(s)...`
+  );
 
-    // Update query for next batch
-    if (res.nextBlock) {
-      query.fromBlock = res.nextBlock;
-    }
+  await initializeDatabase();
+
+  // Ctrl+C flushes pending transfers and checkpoints before exiting
+  installSignalHandlers();
+
+  const collectors = CHAIN_IDS.map(
+    (chainId) =>
+      new ChainCollector(chainId, config.chains[chainId], clickhouse, {
+        follow: FOLLOW,
+        flushIntervalMs: FLUSH_INTERVAL_MS,
+        confirmations: CONFIRMATIONS,
+        transactions: TRANSACTIONS,
+        native: NATIVE,
+        prices: PRICES,
+        targets: TARGETS?.[chainId] || null,
+        verbose: !multiChain,
+        prefix: multiChain ? `[${config.chains[chainId].name}]` : "",
+      })
+  );
+
+  const progressTimer =
+    multiChain && !BACKFILL
+      ? setInterval(
+          () => printCombinedProgress(collectors),
+          PROGRESS_INTERVAL_MS
+        )
+      : null;
+
+  // Run every chain concurrently; a failing chain does not stop the others
+  const results = await Promise.allSettled(
+    collectors.map((collector) =>
+      runChain(collector).catch((error) => {
+        collector.stats.status = "failed";
+        collector.log("❌ Collection failed:", error.message);
+        throw error;
+      })
+    )
+  );
+
+  if (progressTimer) clearInterval(progressTimer);
 
-    // Calculate and print simple progress metrics
-    const seconds = (performance.now() - startTime) / 1000;
+  const failures = results
+    .map((result, i) => ({ collector: collectors[i], result }))
+    .filter(({ result }) => result.status === "rejected");
 
+  if (multiChain) {
+    printCombinedProgress(collectors);
     console.log(
-      `Block ${res.nextBlock} | ${totalEvents} events | ${
-        transferBatch.length
-      } pending | ${seconds.toFixed(1)}s | ${(totalEvents / seconds).toFixed(
-        1
-      )} events/s`
+      `\n🏁 Finished ${collectors.length - failures.length}/${
+        collectors.length
+      } chains`
     );
-  }
-
-  // Insert any remaining transfers in the final batch
-  if (transferBatch.length > 0) {
-    try {
-      await insertTransferBatch(transferBatch, tableName);
+    for (const { collector, result } of failures) {
       console.log(
-        `💾 Inserted final batch of ${transferBatch.length} transfers to database`
+        `   ❌ ${collector.chainInfo.name} (${collector.chainId}): ${result.reason.message}`
       );
-    } catch (error) {
-      console.log("Error inserting final batch:", error.message);
     }
   }
 
-  // Print final results
-  const totalTime = (performance.now() - startTime) / 1000;
-  console.log(
-    `\n🎉 Scan complete: ${totalEvents} transfer events in ${totalTime.toFixed(
-      1
-    )} seconds`
-  );
-  console.log(`💰 Total Transfer Value: ${totalTransferValue.toString()}`);
-  console.log(
-    `💾 All data saved to ClickHouse database: token_intelligence.${tableName}`
-  );
-
   // Close ClickHouse connection
   await clickhouse.close();
+
+  if (failures.length > 0) {
+    if (!multiChain) throw failures[0].result.reason;
+    process.exit(1);
+  }
 };
 
 main().catch((error) => {
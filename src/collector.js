@@ -0,0 +1,1493 @@
+import { keccak256, toHex } from "viem";
+import {
+  HypersyncClient,
+  LogField,
+  JoinMode,
+  BlockField,
+  TransactionField,
+  Decoder,
+} from "@envio-dev/hypersync-client";
+import { BlockHashTracker, findForkBlock, rollbackToBlock } from "./reorg.js";
+import { deleteChainRows } from "./balances.js";
+import {
+  readCheckpoint,
+  readCheckpointHead,
+  writeCheckpoint,
+} from "./checkpoint.js";
+import { Spool, withRetry } from "./spool.js";
+import { config, DATABASE } from "./config.js";
+import { register, unregister } from "./shutdown.js";
+import { METADATA_TABLE, initializeTokenMetadataTable } from "./metadata.js";
+import {
+  restrictLogSelections,
+  restrictTransactionSelections,
+} from "./targets.js";
+
+// Define token event signatures. ERC20 and ERC721 share Transfer/Approval.
+const event_signatures = [
+  "Transfer(address,address,uint256)",
+  "Approval(address,address,uint256)",
+  "TransferSingle(address,address,address,uint256,uint256)",
+  "TransferBatch(address,address,address,uint256[],uint256[])",
+];
+
+// Create topic0 hashes from event signatures
+const topic0_list = event_signatures.map((sig) => keccak256(toHex(sig)));
+const [
+  TRANSFER_TOPIC,
+  APPROVAL_TOPIC,
+  TRANSFER_SINGLE_TOPIC,
+  TRANSFER_BATCH_TOPIC,
+] = topic0_list;
+
+// WETH9-style wrap/unwrap events, only collected from the chain's
+// wrappedNative contract since vaults and staking contracts reuse them
+const wrapped_native_signatures = [
+  "Deposit(address,uint256)",
+  "Withdrawal(address,uint256)",
+];
+const wrapped_native_topics = wrapped_native_signatures.map((sig) =>
+  keccak256(toHex(sig))
+);
+const [DEPOSIT_TOPIC, WITHDRAWAL_TOPIC] = wrapped_native_topics;
+
+// DEX pool events for prices (opt-in): Uniswap V2 pairs and their forks emit
+// Sync with the new reserves and Swap with the amounts in and out, V3 pools
+// one Swap with the price after it
+const dex_signatures = [
+  "Sync(uint112,uint112)",
+  "Swap(address,uint256,uint256,uint256,uint256,address)",
+  "Swap(address,address,int256,int256,uint160,uint128,int24)",
+];
+const dex_topics = dex_signatures.map((sig) => keccak256(toHex(sig)));
+const [SYNC_TOPIC, V2_SWAP_TOPIC, V3_SWAP_TOPIC] = dex_topics;
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Reserved contract address standing in for the chain's native asset when
+// native transfers are shown next to ERC20 transfers
+export const NATIVE_TOKEN_ADDRESS =
+  "0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee";
+
+// Checkpoint key for everything this collector streams. It predates the
+// other events and is kept so existing chains resume where they left off.
+export const EVENT_TYPE = "erc20_transfer";
+
+// Insert once this many rows are pending (batchSizes.insert)
+const BATCH_SIZE = config.batchSizes.insert;
+
+// How long to wait before polling again once caught up (follow mode)
+const FOLLOW_POLL_INTERVAL_MS = 2000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Convert a unix timestamp (seconds) to ClickHouse DateTime format
+function formatTimestamp(seconds) {
+  return new Date(Number(seconds) * 1000)
+    .toISOString()
+    .slice(0, 19)
+    .replace("T", " ");
+}
+
+// Index the block headers of a response by block number
+function indexBlocks(blocks = []) {
+  const blocksByNumber = new Map();
+  for (const block of blocks) {
+    if (block.number === undefined || block.number === null) continue;
+    blocksByNumber.set(Number(block.number), block);
+  }
+  return blocksByNumber;
+}
+
+// ERC721 indexes the token ID as a fourth topic and has no data, where
+// ERC20 keeps the amount in data. The ERC20 decoder rejects these logs.
+function isErc721Transfer(log) {
+  return (
+    log.topics[0] === TRANSFER_TOPIC &&
+    Boolean(log.topics[3]) &&
+    (!log.data || log.data === "0x")
+  );
+}
+
+// ERC721 approvals have the same shape (approved token ID as the fourth
+// topic, no data). They are not allowances and are not collected.
+function isErc721Approval(log) {
+  return (
+    log.topics[0] === APPROVAL_TOPIC &&
+    Boolean(log.topics[3]) &&
+    (!log.data || log.data === "0x")
+  );
+}
+
+// Indexed and body parameters every decoded event must have
+const event_shapes = {
+  [TRANSFER_TOPIC]: [2, 1],
+  [APPROVAL_TOPIC]: [2, 1],
+  [TRANSFER_SINGLE_TOPIC]: [3, 2],
+  [TRANSFER_BATCH_TOPIC]: [3, 2],
+  [DEPOSIT_TOPIC]: [1, 1],
+  [WITHDRAWAL_TOPIC]: [1, 1],
+  [SYNC_TOPIC]: [0, 2],
+  [V2_SWAP_TOPIC]: [2, 4],
+  [V3_SWAP_TOPIC]: [2, 5],
+};
+
+// Why a decoded log cannot be stored as its event, or null if it can.
+// Non-standard tokens reuse the signatures with other parameter layouts.
+function malformedReason(log, topic0) {
+  if (log === null) return "undecodable";
+  const shape = event_shapes[topic0];
+  if (!shape) return "unexpected_event";
+
+  const hasValues = (params, count) =>
+    Array.isArray(params) &&
+    params.length >= count &&
+    params.slice(0, count).every((param) => param?.val != null);
+  if (!hasValues(log.indexed, shape[0])) return "missing_indexed";
+  if (!hasValues(log.body, shape[1])) return "missing_body";
+  return null;
+}
+
+// Last 20 bytes of an indexed address topic
+function topicToAddress(topic) {
+  return `0x${topic.slice(-40)}`;
+}
+
+// Map a block header to a row of the blocks table
+function toBlockRow(block) {
+  return {
+    block_number: Number(block.number),
+    block_hash: block.hash,
+    parent_hash: block.parentHash,
+    block_timestamp: formatTimestamp(block.timestamp),
+  };
+}
+
+// Names of the tables and views the collector creates for a chain, opt-in
+// ones included
+export function chainTableNames(chainId) {
+  return {
+    tableName: `erc20_transfers_${chainId}`,
+    approvalsTableName: `erc20_approvals_${chainId}`,
+    erc721TableName: `erc721_transfers_${chainId}`,
+    erc1155TableName: `erc1155_transfers_${chainId}`,
+    transactionsTableName: `transactions_${chainId}`,
+    nativeTableName: `native_transfers_${chainId}`,
+    malformedTableName: `malformed_logs_${chainId}`,
+    blocksTableName: `blocks_${chainId}`,
+    swapsTableName: `dex_swaps_${chainId}`,
+    syncsTableName: `dex_syncs_${chainId}`,
+    normalizedViewName: `erc20_transfers_normalized_${chainId}`,
+    nativeViewName: `transfers_with_native_${chainId}`,
+  };
+}
+
+// Streams ERC20 transfers and approvals, ERC721 and ERC1155 transfers of one
+// chain into ClickHouse. Each chain gets its own Hypersync client, batch,
+// checkpoint and reorg tracker.
+export class ChainCollector {
+  constructor(chainId, chainInfo, clickhouse, options = {}) {
+    this.chainId = chainId;
+    this.chainInfo = chainInfo;
+    this.clickhouse = clickhouse;
+    this.follow = options.follow || false;
+    this.flushIntervalMs = options.flushIntervalMs || 10000;
+    this.batchSize = options.batchSize || BATCH_SIZE;
+    this.confirmations = options.confirmations || 0;
+    this.verbose = options.verbose ?? true;
+    this.prefix = options.prefix || "";
+
+    // Opt-in: store the transactions behind the collected events, and
+    // native value moved by successful top-level transactions
+    this.transactions = options.transactions || false;
+    this.native = options.native || false;
+
+    // Opt-in: store Uniswap V2/V3 pool events of every pool, the input of
+    // DEX prices (src/prices.js)
+    this.prices = options.prices || false;
+
+    // Token allowlist / wallet watchlist ({ tokens, wallets }), or null to
+    // collect every event of the chain
+    this.targets = options.targets || null;
+
+    // Bounded backfill of [range.fromBlock, range.toBlock): no checkpoint,
+    // no reorg tracking and no follow mode
+    this.range = options.range || null;
+    if (this.range) this.follow = false;
+
+    Object.assign(this, chainTableNames(chainId));
+    this.eventTables = [
+      this.tableName,
+      this.approvalsTableName,
+      this.erc721TableName,
+      this.erc1155TableName,
+      this.malformedTableName,
+    ];
+    if (this.transactions) this.eventTables.push(this.transactionsTableName);
+    if (this.native) this.eventTables.push(this.nativeTableName);
+    if (this.prices) {
+      this.eventTables.push(this.swapsTableName, this.syncsTableName);
+    }
+    this.rollbackTables = [...this.eventTables, this.blocksTableName];
+
+    // Columns holding the wallets a watchlist matches, per token event table
+    this.walletColumns = {
+      [this.tableName]: ["from_address", "to_address"],
+      [this.approvalsTableName]: ["owner_address", "spender_address"],
+      [this.erc721TableName]: ["from_address", "to_address"],
+      [this.erc1155TableName]: ["from_address", "to_address"],
+    };
+
+    // Initialize Hypersync client for this chain, unless one is given
+    // (e.g. a ReplayClient serving recorded responses)
+    this.client =
+      options.client ||
+      HypersyncClient.new({
+        url: chainInfo.hypersyncUrl,
+        bearerToken: chainInfo.hypersyncToken,
+      });
+
+    // Define query for token Transfer and Approval events
+    this.query = {
+      fromBlock: 0, // Will be updated by getResumeBlock
+      logs: [
+        ...restrictLogSelections(
+          [
+            {
+              topics: [[TRANSFER_TOPIC, APPROVAL_TOPIC]],
+              walletTopics: [1, 2],
+            },
+            {
+              topics: [[TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC]],
+              walletTopics: [2, 3], // topic1 is the operator
+            },
+            ...(chainInfo.wrappedNative
+              ? [
+                  {
+                    address: [chainInfo.wrappedNative],
+                    topics: [wrapped_native_topics],
+                    walletTopics: [1],
+                  },
+                ]
+              : []),
+          ],
+          this.targets
+        ),
+        // Every pool, whatever the targets: prices need the whole market
+        ...(this.prices ? [{ topics: [dex_topics] }] : []),
+      ],
+      // Value is not selectable, so every successful transaction is returned
+      // and the ones without value are dropped in processTransactions
+      ...(this.native && {
+        transactions: restrictTransactionSelections(this.targets),
+      }),
+      fieldSelection: {
+        block: [
+          BlockField.Number,
+          BlockField.Hash,
+          BlockField.ParentHash,
+          BlockField.Timestamp,
+        ],
+        log: [
+          LogField.BlockNumber,
+          LogField.LogIndex,
+          // LogField.TransactionIndex,
+          LogField.TransactionHash,
+          LogField.Data,
+          LogField.Address,
+          LogField.Topic0,
+          LogField.Topic1,
+          LogField.Topic2,
+          LogField.Topic3,
+        ],
+        ...((this.transactions || this.native) && {
+          transaction: [
+            TransactionField.BlockNumber,
+            TransactionField.TransactionIndex,
+            TransactionField.Hash,
+            TransactionField.From,
+            TransactionField.To,
+            TransactionField.ContractAddress,
+            TransactionField.Value,
+            TransactionField.GasUsed,
+            TransactionField.EffectiveGasPrice,
+            TransactionField.Status,
+          ],
+        }),
+      },
+      // Joins each matched log to its transaction and block
+      joinMode: JoinMode.Default,
+    };
+
+    // Create decoder once for better performance
+    this.decoder = Decoder.fromSignatures([
+      "Transfer(address indexed from, address indexed to, uint256 value)",
+      "Approval(address indexed owner, address indexed spender, uint256 value)",
+      "TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+      "TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+      "Deposit(address indexed dst, uint256 wad)",
+      "Withdrawal(address indexed src, uint256 wad)",
+      "Sync(uint112 reserve0, uint112 reserve1)",
+      "Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+      "Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)",
+    ]);
+
+    this.tracker = new BlockHashTracker();
+    // Failed batches are kept under spoolDir (.spool by default)
+    this.spool = new Spool(chainId, EVENT_TYPE, options.spoolDir);
+    this.batches = this.emptyBatches(); // table -> pending rows
+    this.blockBatch = new Map(); // block_number -> block row, flushed with events
+    this.checkpointBlock = 0;
+    this.lastFlushTime = performance.now();
+
+    // Resolved by stop() to interrupt a pending stream read or poll wait
+    this.stopping = false;
+    this.stopRequested = new Promise((resolve) => {
+      this.resolveStop = resolve;
+    });
+
+    // Read by the progress reporter
+    this.stats = {
+      status: "starting",
+      nextBlock: 0,
+      totalEvents: 0,
+      malformedLogs: 0,
+      totalTransferValue: BigInt(0),
+      startTime: performance.now(),
+    };
+  }
+
+  // Ask the collector to stop pulling from the stream, flush and return
+  stop() {
+    this.stopping = true;
+    this.resolveStop();
+  }
+
+  log(...args) {
+    if (this.prefix) console.log(this.prefix, ...args);
+    else console.log(...args);
+  }
+
+  emptyBatches() {
+    return Object.fromEntries(this.eventTables.map((table) => [table, []]));
+  }
+
+  // Event rows waiting to be flushed, across all tables
+  get pendingRows() {
+    return Object.values(this.batches).reduce(
+      (sum, rows) => sum + rows.length,
+      0
+    );
+  }
+
+  // e.g. "120 erc20_transfers_130, 4 erc20_approvals_130"
+  describeBatches(batches = this.batches) {
+    return Object.entries(batches)
+      .filter(([, rows]) => rows.length > 0)
+      .map(([table, rows]) => `${rows.length} ${table}`)
+      .join(", ");
+  }
+
+  // Initialize chain-specific tables
+  async initializeDatabase() {
+    const {
+      tableName,
+      approvalsTableName,
+      erc721TableName,
+      erc1155TableName,
+      blocksTableName,
+    } = this;
+    const tables = this.rollbackTables.join(", ");
+    this.log(`Setting up ClickHouse tables: ${tables}...`);
+
+    // Create chain-specific table (don't drop existing data!)
+    await this.clickhouse.command({
+      query: `
+        CREATE TABLE IF NOT EXISTS ${DATABASE}.${tableName} (
+          block_number UInt64,
+          block_timestamp DateTime,
+          log_index UInt32,
+          transaction_hash String,
+          contract_address LowCardinality(String),
+          from_address String,
+          to_address String,
+          value UInt256,
+          source_event LowCardinality(String) DEFAULT 'Transfer',
+          db_write_timestamp DateTime DEFAULT now(),
+
+          INDEX idx_contract contract_address TYPE bloom_filter GRANULARITY 1
+        ) ENGINE = MergeTree()
+        ORDER BY (contract_address, block_number, log_index)
+        PARTITION BY toDate(block_timestamp)
+      `,
+    });
+
+    // Tables created before wrapped-native mints/burns were collected
+    await this.clickhouse.command({
+      query: `
+        ALTER TABLE ${DATABASE}.${tableName}
+        ADD COLUMN IF NOT EXISTS source_event LowCardinality(String) DEFAULT 'Transfer' AFTER value
+      `,
+    });
+
+    // Transfers with value scaled by the token's decimals, so amounts of
+    // different tokens can be compared. Tokens without metadata have NULL
+    // decimals and amount (never a guessed 0) until resolve-metadata or
+    // populate-cache fills them in.
+    await initializeTokenMetadataTable(this.clickhouse, this.chainId);
+    await this.clickhouse.command({
+      query: `
+        CREATE OR REPLACE VIEW ${DATABASE}.${this.normalizedViewName} AS
+        SELECT t.block_number AS block_number,
+               t.block_timestamp AS block_timestamp,
+               t.log_index AS log_index,
+               t.transaction_hash AS transaction_hash,
+               t.contract_address AS contract_address,
+               t.from_address AS from_address,
+               t.to_address AS to_address,
+               t.value AS value,
+               t.source_event AS source_event,
+               m.known AS decimals_known,
+               if(m.known, m.decimals, NULL) AS decimals,
+               if(m.known, toFloat64(t.value) / pow(10, m.decimals), NULL) AS amount
+        FROM ${DATABASE}.${tableName} AS t
+        LEFT ANY JOIN (
+          SELECT contract_address, decimals, true AS known
+          FROM ${DATABASE}.${METADATA_TABLE} FINAL
+          WHERE chain_id = ${this.chainId}
+        ) AS m ON t.contract_address = m.contract_address
+      `,
+    });
+
+    // Approvals, the latest per (contract, owner, spender) is the allowance
+    await this.clickhouse.command({
+      query: `
+        CREATE TABLE IF NOT EXISTS ${DATABASE}.${approvalsTableName} (
+          block_number UInt64,
+          block_timestamp DateTime,
+          log_index UInt32,
+          transaction_hash String,
+          contract_address LowCardinality(String),
+          owner_address String,
+          spender_address String,
+          value UInt256,
+          db_write_timestamp DateTime DEFAULT now(),
+
+          INDEX idx_owner owner_address TYPE bloom_filter GRANULARITY 1,
+          INDEX idx_spender spender_address TYPE bloom_filter GRANULARITY 1
+        ) ENGINE = MergeTree()
+        ORDER BY (contract_address, block_number, log_index)
+        PARTITION BY toYYYYMM(block_timestamp)
+      `,
+    });
+
+    // NFT transfers; the token ID is the fourth topic of the shared Transfer event
+    await this.clickhouse.command({
+      query: `
+        CREATE TABLE IF NOT EXISTS ${DATABASE}.${erc721TableName} (
+          block_number UInt64,
+          block_timestamp DateTime,
+          log_index UInt32,
+          transaction_hash String,
+          contract_address LowCardinality(String),
+          from_address String,
+          to_address String,
+          token_id UInt256,
+          db_write_timestamp DateTime DEFAULT now(),
+
+          INDEX idx_from from_address TYPE bloom_filter GRANULARITY 1,
+          INDEX idx_to to_address TYPE bloom_filter GRANULARITY 1
+        ) ENGINE = MergeTree()
+        ORDER BY (contract_address, block_number, log_index)
+        PARTITION BY toYYYYMM(block_timestamp)
+      `,
+    });
+
+    // Multi-token transfers; a TransferBatch becomes one row per item,
+    // numbered by batch_index (0 for TransferSingle)
+    await this.clickhouse.command({
+      query: `
+        CREATE TABLE IF NOT EXISTS ${DATABASE}.${erc1155TableName} (
+          block_number UInt64,
+          block_timestamp DateTime,
+          log_index UInt32,
+          batch_index UInt32,
+          transaction_hash String,
+          contract_address LowCardinality(String),
+          operator_address String,
+          from_address String,
+          to_address String,
+          token_id UInt256,
+          value UInt256,
+          is_batch Bool,
+          db_write_timestamp DateTime DEFAULT now(),
+
+          INDEX idx_from from_address TYPE bloom_filter GRANULARITY 1,
+          INDEX idx_to to_address TYPE bloom_filter GRANULARITY 1
+        ) ENGINE = MergeTree()
+        ORDER BY (contract_address, block_number, log_index, batch_index)
+        PARTITION BY toYYYYMM(block_timestamp)
+      `,
+    });
+
+    // Logs that matched a token event but could not be decoded as one, kept
+    // raw instead of being stored with guessed addresses or values. Replacing
+    // so that a targeted backfill re-collecting them does not duplicate rows.
+    await this.clickhouse.command({
+      query: `
+        CREATE TABLE IF NOT EXISTS ${DATABASE}.${this.malformedTableName} (
+          block_number UInt64,
+          block_timestamp DateTime,
+          log_index UInt32,
+          transaction_hash String,
+          contract_address LowCardinality(String),
+          topics Array(String),
+          data String,
+          reason LowCardinality(String),
+          db_write_timestamp DateTime DEFAULT now()
+        ) ENGINE = ReplacingMergeTree(db_write_timestamp)
+        ORDER BY (contract_address, block_number, log_index)
+        PARTITION BY toYYYYMM(block_timestamp)
+      `,
+    });
+
+    // Transactions behind the collected events, joined on transaction_hash
+    if (this.transactions) {
+      await this.clickhouse.command({
+        query: `
+          CREATE TABLE IF NOT EXISTS ${DATABASE}.${this.transactionsTableName} (
+            block_number UInt64,
+            block_timestamp DateTime,
+            transaction_index UInt32,
+            transaction_hash String,
+            from_address String,
+            to_address String,
+            value UInt256,
+            gas_used UInt64,
+            effective_gas_price UInt256,
+            status UInt8,
+            db_write_timestamp DateTime DEFAULT now(),
+
+            INDEX idx_hash transaction_hash TYPE bloom_filter GRANULARITY 1,
+            INDEX idx_from from_address TYPE bloom_filter GRANULARITY 1
+          ) ENGINE = MergeTree()
+          ORDER BY (block_number, transaction_index)
+          PARTITION BY toYYYYMM(block_timestamp)
+        `,
+      });
+    }
+
+    // Native value transfers, plus a view showing them as pseudo-token rows
+    // of NATIVE_TOKEN_ADDRESS alongside the ERC20 transfers
+    if (this.native) {
+      await this.clickhouse.command({
+        query: `
+          CREATE TABLE IF NOT EXISTS ${DATABASE}.${this.nativeTableName} (
+            block_number UInt64,
+            block_timestamp DateTime,
+            transaction_index UInt32,
+            transaction_hash String,
+            from_address String,
+            to_address String,
+            value UInt256,
+            db_write_timestamp DateTime DEFAULT now(),
+
+            INDEX idx_from from_address TYPE bloom_filter GRANULARITY 1,
+            INDEX idx_to to_address TYPE bloom_filter GRANULARITY 1
+          ) ENGINE = MergeTree()
+          ORDER BY (block_number, transaction_index)
+          PARTITION BY toYYYYMM(block_timestamp)
+        `,
+      });
+
+      await this.clickhouse.command({
+        query: `
+          CREATE OR REPLACE VIEW ${DATABASE}.${this.nativeViewName} AS
+          SELECT block_number, block_timestamp, log_index, transaction_hash,
+                 contract_address, from_address, to_address, value, source_event
+          FROM ${DATABASE}.${tableName}
+          UNION ALL
+          SELECT block_number, block_timestamp, toUInt32(0) AS log_index, transaction_hash,
+                 '${NATIVE_TOKEN_ADDRESS}' AS contract_address, from_address, to_address,
+                 value, 'Native' AS source_event
+          FROM ${DATABASE}.${this.nativeTableName}
+        `,
+      });
+    }
+
+    // DEX pool events. Swap amounts are net amounts into the pool (negative
+    // when paid out), the V3 convention; sqrt_price_x96 and tick are V3 only.
+    if (this.prices) {
+      await this.clickhouse.command({
+        query: `
+          CREATE TABLE IF NOT EXISTS ${DATABASE}.${this.swapsTableName} (
+            block_number UInt64,
+            block_timestamp DateTime,
+            log_index UInt32,
+            transaction_hash String,
+            pool_address LowCardinality(String),
+            protocol LowCardinality(String),
+            sender_address String,
+            recipient_address String,
+            amount0 Int256,
+            amount1 Int256,
+            sqrt_price_x96 UInt256,
+            tick Int32,
+            db_write_timestamp DateTime DEFAULT now()
+          ) ENGINE = MergeTree()
+          ORDER BY (pool_address, block_number, log_index)
+          PARTITION BY toYYYYMM(block_timestamp)
+        `,
+      });
+
+      await this.clickhouse.command({
+        query: `
+          CREATE TABLE IF NOT EXISTS ${DATABASE}.${this.syncsTableName} (
+            block_number UInt64,
+            block_timestamp DateTime,
+            log_index UInt32,
+            transaction_hash String,
+            pool_address LowCardinality(String),
+            reserve0 UInt256,
+            reserve1 UInt256,
+            db_write_timestamp DateTime DEFAULT now()
+          ) ENGINE = MergeTree()
+          ORDER BY (pool_address, block_number, log_index)
+          PARTITION BY toYYYYMM(block_timestamp)
+        `,
+      });
+    }
+
+    // Block headers, so every transfer can be matched to its own block timestamp
+    await this.clickhouse.command({
+      query: `
+        CREATE TABLE IF NOT EXISTS ${DATABASE}.${blocksTableName} (
+          block_number UInt64,
+          block_hash String,
+          parent_hash String,
+          block_timestamp DateTime,
+          db_write_timestamp DateTime DEFAULT now()
+        ) ENGINE = ReplacingMergeTree(db_write_timestamp)
+        ORDER BY block_number
+        PARTITION BY toYYYYMM(block_timestamp)
+      `,
+    });
+
+    this.log(`✅ Tables ready: ${tables}!`);
+  }
+
+  // Highest block stored in the blocks table, or null when it is empty
+  async getHighestStoredBlock() {
+    const result = await this.clickhouse.query({
+      query: `SELECT MAX(block_number) as max_block, COUNT() as block_count FROM ${DATABASE}.${this.blocksTableName}`,
+      format: "JSONEachRow",
+    });
+    const rows = await result.json();
+    return Number(rows[0]?.block_count) > 0 ? Number(rows[0].max_block) : null;
+  }
+
+  // Delete rows at and above a block from every chain table
+  async deleteFromBlock(blockNumber) {
+    for (const table of this.rollbackTables) {
+      await deleteChainRows(
+        this.clickhouse,
+        this.chainId,
+        table,
+        `block_number >= ${blockNumber}`
+      );
+    }
+  }
+
+  // Checkpoint with the hash of the block below it, so that a reorg while
+  // the collector is down is found even past the last block with events
+  async writeCheckpoint(nextBlock) {
+    await writeCheckpoint(
+      this.clickhouse,
+      this.chainId,
+      EVENT_TYPE,
+      nextBlock,
+      this.tracker.hashes.get(nextBlock - 1)
+    );
+    this.checkpointBlock = nextBlock;
+  }
+
+  // Get resume position from the sync checkpoint
+  async getResumeBlock() {
+    const checkpoint = await readCheckpoint(
+      this.clickhouse,
+      this.chainId,
+      EVENT_TYPE
+    );
+
+    if (checkpoint !== null) {
+      // Rows at or above the checkpoint only exist if the last run stopped
+      // between inserting a batch and recording its checkpoint
+      const highestBlock = await this.getHighestStoredBlock();
+      if (highestBlock !== null && highestBlock >= checkpoint) {
+        await this.deleteFromBlock(checkpoint);
+        this.log(
+          `🗑️  Deleted unrecorded rows from block ${checkpoint} to ${highestBlock}`
+        );
+      }
+
+      this.checkpointBlock = checkpoint;
+      this.log(`📊 Resuming collection from checkpoint block ${checkpoint}`);
+      return checkpoint;
+    }
+
+    // Tables written before sync_state existed: resume from the last stored
+    // block once, then rely on checkpoints from here on
+    try {
+      const result = await this.clickhouse.query({
+        query: `SELECT MAX(block_number) as max_block FROM ${DATABASE}.${this.tableName}`,
+        format: "JSONEachRow",
+      });
+
+      const rows = await result.json();
+      if (rows.length === 0 || !rows[0].max_block) {
+        this.log("📊 No existing data found, starting from block 0");
+        return 0;
+      }
+
+      const lastBlock = parseInt(rows[0].max_block);
+
+      // Delete the potentially incomplete last block
+      await this.deleteFromBlock(lastBlock);
+      await this.writeCheckpoint(lastBlock);
+
+      this.log(`🗑️  Deleted potentially incomplete block ${lastBlock}`);
+      this.log(`📊 Resuming collection from block ${lastBlock}`);
+
+      return lastBlock;
+    } catch (error) {
+      this.log("📊 No existing data found, starting from block 0");
+      return 0;
+    }
+  }
+
+  // Check that the blocks we stored last time, and the head the checkpoint
+  // covers, are still canonical
+  async checkResumeReorg() {
+    await this.tracker.load(this.clickhouse, this.blocksTableName);
+    const lastStoredBlock = this.tracker.highestBlock;
+    const head = await readCheckpointHead(
+      this.clickhouse,
+      this.chainId,
+      EVENT_TYPE
+    );
+    const headBlock = head?.blockHash ? head.nextBlock - 1 : null;
+    if (headBlock !== null) this.tracker.set(headBlock, head.blockHash);
+
+    let fork = await findForkBlock(this.client, this.tracker);
+    if (!fork) return;
+
+    // Only the head changed: the new blocks may have events anywhere after
+    // the last stored block
+    if (
+      fork.blockNumber === headBlock &&
+      lastStoredBlock > 0 &&
+      lastStoredBlock < headBlock
+    ) {
+      fork = { ...fork, blockNumber: lastStoredBlock + 1 };
+    }
+
+    await rollbackToBlock(this.clickhouse, {
+      chainId: this.chainId,
+      tables: this.rollbackTables,
+      fork,
+      orphanedHead: this.tracker.highestBlock,
+      detectedDuring: "resume",
+      log: (...args) => this.log(...args),
+    });
+    this.tracker.rewind(fork.blockNumber);
+
+    const checkpoint = await readCheckpoint(
+      this.clickhouse,
+      this.chainId,
+      EVENT_TYPE
+    );
+    if (checkpoint !== null && checkpoint > fork.blockNumber) {
+      await this.writeCheckpoint(fork.blockNumber);
+    }
+  }
+
+  // Drop pending and stored rows above the fork and restart from it
+  async handleStreamReorg(conflict) {
+    const canonicalFork = await findForkBlock(this.client, this.tracker);
+    const fork =
+      canonicalFork && canonicalFork.blockNumber < conflict.blockNumber
+        ? canonicalFork
+        : conflict;
+
+    for (const [table, rows] of Object.entries(this.batches)) {
+      this.batches[table] = rows.filter(
+        (row) => row.block_number < fork.blockNumber
+      );
+    }
+    for (const blockNumber of this.blockBatch.keys()) {
+      if (blockNumber >= fork.blockNumber) this.blockBatch.delete(blockNumber);
+    }
+
+    await rollbackToBlock(this.clickhouse, {
+      chainId: this.chainId,
+      tables: this.rollbackTables,
+      fork,
+      orphanedHead: this.tracker.highestBlock,
+      detectedDuring: "stream",
+      log: (...args) => this.log(...args),
+    });
+    this.tracker.rewind(fork.blockNumber);
+    await this.spool.truncate(fork.blockNumber);
+    if (this.checkpointBlock > fork.blockNumber) {
+      await this.writeCheckpoint(fork.blockNumber);
+    }
+
+    this.query.fromBlock = fork.blockNumber;
+  }
+
+  // Open a stream from query.fromBlock, staying `confirmations` blocks behind
+  // the head. Returns null when there is nothing new to fetch yet.
+  async openStream() {
+    if (this.confirmations > 0 && !this.range) {
+      const height = await this.client.getHeight();
+      const toBlock = height - this.confirmations + 1;
+      if (toBlock <= this.query.fromBlock) return null;
+      this.query.toBlock = toBlock;
+    }
+    return this.client.stream(this.query, {});
+  }
+
+  // Insert block headers for the events being flushed
+  async insertBlockBatch(blocks) {
+    if (blocks.length === 0) return;
+
+    await this.clickhouse.insert({
+      table: `${DATABASE}.${this.blocksTableName}`,
+      values: blocks,
+      format: "JSONEachRow",
+    });
+  }
+
+  async insertRows(table, rows) {
+    if (rows.length === 0) return;
+
+    await this.clickhouse.insert({
+      table: `${DATABASE}.${table}`,
+      values: rows,
+      format: "JSONEachRow",
+    });
+  }
+
+  // Batch insert function for better performance
+  async insertTransferBatch(transfers) {
+    if (transfers.length === 0) return;
+
+    const table = `${DATABASE}.${this.tableName}`;
+    try {
+      await this.clickhouse.insert({
+        table,
+        values: transfers,
+        format: "JSONEachRow",
+      });
+    } catch (error) {
+      if (error.message.includes("Invalid string length")) {
+        console.error("🔍 String length error detected!");
+        console.error("📏 Investigating batch data...");
+
+        // Log problematic records
+        transfers.forEach((transfer, i) => {
+          Object.entries(transfer).forEach(([key, value]) => {
+            if (typeof value === "string" && value.length > 100) {
+              console.error(
+                `  Record ${i}, ${key}: ${
+                  value.length
+                } chars - "${value.substring(0, 50)}..."`
+              );
+            }
+            if (typeof value === "bigint" && value > BigInt("1e30")) {
+              console.error(
+                `  Record ${i}, ${key}: extremely large BigInt - ${value.toString()}`
+              );
+            }
+          });
+        });
+
+        // Try to continue with sanitized data
+        const sanitizedTransfers = transfers.map((transfer) => ({
+          ...transfer,
+          transaction_hash: transfer.transaction_hash?.substring(0, 66) || "",
+          contract_address: transfer.contract_address?.substring(0, 42) || "",
+          from_address: transfer.from_address?.substring(0, 42) || "",
+          to_address: transfer.to_address?.substring(0, 42) || "",
+          value:
+            typeof transfer.value === "bigint"
+              ? transfer.value.toString()
+              : transfer.value,
+        }));
+
+        this.log("🔄 Retrying with sanitized data...");
+        await this.clickhouse.insert({
+          table,
+          values: sanitizedTransfers,
+          format: "JSONEachRow",
+        });
+      } else {
+        throw error; // Re-throw other errors
+      }
+    }
+  }
+
+  // Insert pending blocks and events, then checkpoint the block they cover.
+  // Called only between responses, so query.fromBlock covers the whole batch.
+  // Batches that keep failing are spooled to disk and the checkpoint is held
+  // back until the spool has been replayed.
+  async flushBatch() {
+    this.lastFlushTime = performance.now();
+    const nextBlock = this.query.fromBlock;
+    const hasRows = this.pendingRows > 0;
+    if (!hasRows && nextBlock <= this.checkpointBlock) return;
+
+    // Earlier spooled batches go first so checkpoints only move forward in order
+    if (!this.range && (await this.spool.hasPending())) {
+      try {
+        const replayedTo = await this.spool.replay(this.clickhouse, (...args) =>
+          this.log(...args)
+        );
+        if (replayedTo !== null) this.checkpointBlock = replayedTo;
+      } catch (error) {
+        this.log(`⚠️  Spool replay failed: ${error.message}`);
+        if (hasRows) await this.spoolBatch(nextBlock);
+        return;
+      }
+    }
+
+    if (hasRows) {
+      const summary = `${this.describeBatches()} (${
+        this.blockBatch.size
+      } blocks)`;
+      try {
+        // Each table's batch is cleared once inserted, so a retry or the
+        // spool only gets the tables that have not been written yet
+        await withRetry(
+          async () => {
+            await this.insertBlockBatch([...this.blockBatch.values()]);
+            this.blockBatch = new Map();
+            for (const table of this.eventTables) {
+              if (table === this.tableName) {
+                await this.insertTransferBatch(this.batches[table]);
+              } else {
+                await this.insertRows(table, this.batches[table]);
+              }
+              this.batches[table] = [];
+            }
+          },
+          {
+            onRetry: (error, attempt, delay) =>
+              this.log(
+                `⚠️  Insert attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`
+              ),
+          }
+        );
+      } catch (error) {
+        // Backfill chunks fail instead and are collected again on re-run
+        if (this.range) throw error;
+        this.log(`❌ Insert failed after retries: ${error.message}`);
+        await this.spoolBatch(nextBlock);
+        return;
+      }
+
+      this.log(`💾 Inserted ${summary} to database`);
+    }
+
+    // Record progress even across ranges without any transfers
+    if (!this.range && nextBlock > this.checkpointBlock) {
+      await withRetry(() => this.writeCheckpoint(nextBlock));
+    }
+  }
+
+  // Write the pending batch to the on-disk spool and clear it
+  async spoolBatch(nextBlock) {
+    const file = await this.spool.write(
+      nextBlock,
+      {
+        [this.blocksTableName]: [...this.blockBatch.values()],
+        ...this.batches,
+      },
+      this.tracker.hashes.get(nextBlock - 1)
+    );
+    this.log(
+      `🛟 Spooled ${this.describeBatches()} to ${file}; checkpoint held at block ${
+        this.checkpointBlock
+      }`
+    );
+    this.batches = this.emptyBatches();
+    this.blockBatch = new Map();
+  }
+
+  // Flush, logging failures instead of stopping the stream. Backfill chunks
+  // rethrow so that a failed chunk is never recorded as complete.
+  async flushOrLog(message) {
+    try {
+      await this.flushBatch();
+    } catch (error) {
+      if (this.range) throw error;
+      this.log(message, error.message);
+    }
+  }
+
+  // Decode the logs of one response and add them to the pending batch
+  async processLogs(res) {
+    const { stats } = this;
+    stats.totalEvents += res.data.logs.length;
+
+    // Decode logs
+    const decodedLogs = await this.decoder.decodeLogs(res.data.logs);
+
+    // A response spans many blocks, so each log is matched to its own header
+    const blocksByNumber = indexBlocks(res.data.blocks);
+
+    // Track if we've printed an event for this batch
+    let printedEventThisBatch = !this.verbose;
+
+    // Process transfer and approval events - need both original logs and decoded logs
+    for (let i = 0; i < decodedLogs.length; i++) {
+      const log = decodedLogs[i];
+      const originalLog = res.data.logs[i];
+
+      // ERC721 transfers are decoded from their topics
+      const erc721 = isErc721Transfer(originalLog);
+
+      const blockNumber = Number(originalLog.blockNumber);
+      const block = blocksByNumber.get(blockNumber);
+      if (!block || block.timestamp === undefined) {
+        throw new Error(
+          `Missing block header for log ${originalLog.logIndex} in block ${originalLog.blockNumber}`
+        );
+      }
+      const blockTimestamp = formatTimestamp(block.timestamp);
+      this.blockBatch.set(blockNumber, toBlockRow(block));
+
+      // Valid NFT approvals, not malformed token approvals
+      if (isErc721Approval(originalLog)) continue;
+
+      // Logs that cannot be read as their event are stored raw
+      const reason = erc721
+        ? null
+        : malformedReason(log, originalLog.topics[0]);
+      if (reason) {
+        // Contracts other than pools reuse the pool event signatures; they
+        // are not token events and would be quarantined on every batch
+        if (dex_topics.includes(originalLog.topics[0])) continue;
+        this.quarantineLog(originalLog, blockNumber, blockTimestamp, reason);
+        continue;
+      }
+
+      // Access the decoded values directly without using JSON.stringify
+      try {
+        // Get contract address, log index, and transaction hash from original log data
+        const contractAddress = originalLog.address || "0x0";
+        const logIndex = originalLog.logIndex || 0;
+        const transactionHash = originalLog.transactionHash || "0x0";
+        const topic0 = originalLog.topics[0];
+
+        if (erc721) {
+          this.batches[this.erc721TableName].push({
+            block_number: blockNumber,
+            block_timestamp: blockTimestamp,
+            log_index: logIndex,
+            transaction_hash: transactionHash,
+            contract_address: contractAddress,
+            from_address: topicToAddress(originalLog.topics[1]),
+            to_address: topicToAddress(originalLog.topics[2]),
+            token_id: BigInt(originalLog.topics[3]).toString(),
+          });
+          continue;
+        }
+
+        if (
+          topic0 === TRANSFER_SINGLE_TOPIC ||
+          topic0 === TRANSFER_BATCH_TOPIC
+        ) {
+          const isBatch = topic0 === TRANSFER_BATCH_TOPIC;
+          const ids = isBatch
+            ? log.body[0].val.map((item) => item.val)
+            : [log.body[0].val];
+          const amounts = isBatch
+            ? log.body[1].val.map((item) => item.val)
+            : [log.body[1].val];
+          if (ids.length !== amounts.length) {
+            this.quarantineLog(
+              originalLog,
+              blockNumber,
+              blockTimestamp,
+              "batch_length_mismatch"
+            );
+            continue;
+          }
+
+          // One row per transferred token ID
+          ids.forEach((id, batchIndex) => {
+            this.batches[this.erc1155TableName].push({
+              block_number: blockNumber,
+              block_timestamp: blockTimestamp,
+              log_index: logIndex,
+              batch_index: batchIndex,
+              transaction_hash: transactionHash,
+              contract_address: contractAddress,
+              operator_address: log.indexed[0].val.toString(),
+              from_address: log.indexed[1].val.toString(),
+              to_address: log.indexed[2].val.toString(),
+              token_id: id.toString(),
+              value: amounts[batchIndex].toString(),
+              is_batch: isBatch,
+            });
+          });
+          continue;
+        }
+
+        if (dex_topics.includes(topic0)) {
+          this.addPoolEvent(log, topic0, {
+            block_number: blockNumber,
+            block_timestamp: blockTimestamp,
+            log_index: logIndex,
+            transaction_hash: transactionHash,
+            pool_address: contractAddress,
+          });
+          continue;
+        }
+
+        // Get from/to (or owner/spender) addresses from indexed parameters.
+        // Wrapping mints to the depositor and unwrapping burns from them.
+        let from = log.indexed[0].val.toString();
+        let to = log.indexed[1]?.val.toString();
+        let sourceEvent = "Transfer";
+        if (topic0 === DEPOSIT_TOPIC) {
+          [from, to, sourceEvent] = [ZERO_ADDRESS, from, "Deposit"];
+        } else if (topic0 === WITHDRAWAL_TOPIC) {
+          [to, sourceEvent] = [ZERO_ADDRESS, "Withdrawal"];
+        }
+
+        // Get transfer value from body
+        const value = log.body[0].val;
+
+        if (topic0 === APPROVAL_TOPIC) {
+          this.batches[this.approvalsTableName].push({
+            block_number: blockNumber,
+            block_timestamp: blockTimestamp,
+            log_index: logIndex,
+            transaction_hash: transactionHash,
+            contract_address: contractAddress,
+            owner_address: from,
+            spender_address: to,
+            value: value.toString(),
+          });
+          continue;
+        }
+
+        // Track total transfer value for statistics
+        stats.totalTransferValue += value;
+
+        // Add to batch for database insertion
+        this.batches[this.tableName].push({
+          block_number: blockNumber,
+          block_timestamp: blockTimestamp,
+          log_index: logIndex,
+          transaction_hash: transactionHash,
+          contract_address: contractAddress,
+          from_address: from,
+          to_address: to,
+          value: value.toString(), // Convert BigInt to string for ClickHouse UInt256
+          source_event: sourceEvent,
+        });
+
+        // Print details for just the first transfer event in each batch
+        if (!printedEventThisBatch) {
+          this.log(
+            `\nSample Transfer Event from Block ${blockNumber} (${blockTimestamp}):`
+          );
+          this.log(`  Log Index: ${logIndex}`);
+          this.log(`  Transaction: ${transactionHash}`);
+          this.log(`  Contract: ${contractAddress}`);
+          this.log(`  From: ${from}`);
+          this.log(`  To: ${to}`);
+          this.log(`  Value: ${value.toString()}`);
+          this.log(`  Source Event: ${sourceEvent}`);
+
+          // Mark that we've printed an event for this batch
+          printedEventThisBatch = true;
+        }
+      } catch (error) {
+        this.log("Error processing event:", error.message);
+        this.quarantineLog(
+          originalLog,
+          blockNumber,
+          blockTimestamp,
+          "processing_error"
+        );
+      }
+    }
+  }
+
+  // Add a decoded Sync or Swap to the pending batch. V2 swaps report what
+  // went in and out; they are stored as net amounts into the pool like V3.
+  addPoolEvent(log, topic0, row) {
+    const body = log.body.map((param) => param.val);
+    if (topic0 === SYNC_TOPIC) {
+      this.batches[this.syncsTableName].push({
+        ...row,
+        reserve0: body[0].toString(),
+        reserve1: body[1].toString(),
+      });
+      return;
+    }
+
+    const v3 = topic0 === V3_SWAP_TOPIC;
+    this.batches[this.swapsTableName].push({
+      ...row,
+      protocol: v3 ? "uniswap_v3" : "uniswap_v2",
+      sender_address: log.indexed[0].val.toString(),
+      recipient_address: log.indexed[1].val.toString(),
+      amount0: (v3 ? body[0] : body[0] - body[2]).toString(),
+      amount1: (v3 ? body[1] : body[1] - body[3]).toString(),
+      sqrt_price_x96: v3 ? body[2].toString() : "0",
+      tick: v3 ? Number(body[4]) : 0,
+    });
+  }
+
+  // Keep a log that could not be stored as its event, as received
+  quarantineLog(log, blockNumber, blockTimestamp, reason) {
+    this.stats.malformedLogs++;
+    this.batches[this.malformedTableName].push({
+      block_number: blockNumber,
+      block_timestamp: blockTimestamp,
+      log_index: log.logIndex || 0,
+      transaction_hash: log.transactionHash || "",
+      contract_address: log.address || "",
+      topics: log.topics.filter(Boolean),
+      data: log.data || "0x",
+      reason,
+    });
+  }
+
+  // Add the transactions of a response to the pending batch: those behind a
+  // collected event and, in native mode, those that moved native value
+  processTransactions(res) {
+    const blocksByNumber = indexBlocks(res.data.blocks);
+    const eventTransactions = new Set(
+      (res.data.logs || []).map((log) => log.transactionHash)
+    );
+
+    for (const tx of res.data.transactions || []) {
+      const value = tx.value ?? BigInt(0);
+      const isNativeTransfer = this.native && value > 0;
+      if (!isNativeTransfer && !eventTransactions.has(tx.hash)) continue;
+
+      const blockNumber = Number(tx.blockNumber);
+      const block = blocksByNumber.get(blockNumber);
+      if (!block || block.timestamp === undefined) {
+        throw new Error(
+          `Missing block header for transaction ${tx.hash} in block ${tx.blockNumber}`
+        );
+      }
+
+      const blockTimestamp = formatTimestamp(block.timestamp);
+
+      if (isNativeTransfer) {
+        this.batches[this.nativeTableName].push({
+          block_number: blockNumber,
+          block_timestamp: blockTimestamp,
+          transaction_index: tx.transactionIndex || 0,
+          transaction_hash: tx.hash,
+          from_address: tx.from || "",
+          // Value sent with a contract creation goes to the new contract
+          to_address: tx.to || tx.contractAddress || "",
+          value: value.toString(),
+        });
+      }
+
+      if (this.transactions) {
+        this.batches[this.transactionsTableName].push({
+          block_number: blockNumber,
+          block_timestamp: blockTimestamp,
+          transaction_index: tx.transactionIndex || 0,
+          transaction_hash: tx.hash,
+          from_address: tx.from || "",
+          to_address: tx.to || "", // Empty for contract creations
+          value: value.toString(),
+          gas_used: (tx.gasUsed ?? BigInt(0)).toString(),
+          effective_gas_price: (tx.effectiveGasPrice ?? BigInt(0)).toString(),
+          status: tx.status ?? 0,
+        });
+      }
+      this.blockBatch.set(blockNumber, toBlockRow(block));
+    }
+  }
+
+  // Print simple progress metrics for this chain
+  printProgress() {
+    const { stats } = this;
+    const seconds = (performance.now() - stats.startTime) / 1000;
+
+    this.log(
+      `Block ${stats.nextBlock} | ${stats.totalEvents} events | ${
+        this.pendingRows
+      } pending | ${seconds.toFixed(1)}s | ${(
+        stats.totalEvents / seconds
+      ).toFixed(1)} events/s`
+    );
+  }
+
+  async run() {
+    register(this);
+    try {
+      await this.collect();
+    } finally {
+      unregister(this);
+    }
+  }
+
+  async collect() {
+    const { chainInfo, chainId, stats } = this;
+    this.log(
+      `🚀 Collecting token transfers and approvals for ${chainInfo.name} (Chain ID: ${chainId})`
+    );
+
+    if (this.range) {
+      this.query.fromBlock = this.range.fromBlock;
+      this.query.toBlock = this.range.toBlock;
+    } else {
+      // Batches spooled by an earlier run must land before we resume
+      if (await this.spool.hasPending()) {
+        this.log("🛟 Replaying spooled batches from a previous run...");
+        await this.spool.replay(this.clickhouse, (...args) =>
+          this.log(...args)
+        );
+      }
+
+      await this.checkResumeReorg();
+
+      // Get resume position and update query
+      this.query.fromBlock = await this.getResumeBlock();
+    }
+    stats.nextBlock = this.query.fromBlock;
+    stats.startTime = performance.now();
+    stats.status = "syncing";
+
+    // Start streaming events
+    let stream = await this.openStream();
+
+    while (!this.stopping) {
+      let res = null;
+      if (stream) {
+        const recv = stream.recv();
+        recv.catch(() => {}); // May reject once the stream is closed on stop
+        res = await Promise.race([recv, this.stopRequested]);
+      }
+
+      // Drop an in-flight response on stop; query.fromBlock still matches
+      // the pending batch, so the final flush checkpoints the right block
+      if (this.stopping) break;
+
+      // Exit if we've reached the end of the chain
+      if (res === null) {
+        if (!this.follow) {
+          this.log(
+            this.range
+              ? `Reached the end of block range ${this.range.fromBlock}-${this.range.toBlock}`
+              : "Reached the tip of the blockchain"
+          );
+          break;
+        }
+
+        // In follow mode, flush what we have and poll for new blocks
+        if (stats.status !== "following") {
+          this.log(
+            `⏳ Caught up at block ${this.query.fromBlock}, following the chain...`
+          );
+          stats.status = "following";
+        }
+        await this.flushOrLog("Error inserting batch:");
+        await Promise.race([
+          sleep(FOLLOW_POLL_INTERVAL_MS),
+          this.stopRequested,
+        ]);
+        if (this.stopping) break;
+        stream = await this.openStream();
+        continue;
+      }
+      stats.status = "syncing";
+
+      // Roll back and re-ingest if this response does not extend our chain
+      const conflict =
+        !this.range &&
+        this.tracker.findConflict(res.data?.blocks || [], res.rollbackGuard);
+      if (conflict) {
+        await stream.close();
+        await this.handleStreamReorg(conflict);
+        stream = await this.openStream();
+        continue;
+      }
+
+      // Process logs if available
+      if (res.data && res.data.logs) {
+        await this.processLogs(res);
+      }
+      if ((this.transactions || this.native) && res.data) {
+        this.processTransactions(res);
+      }
+
+      this.tracker.remember(res.data?.blocks || [], res.rollbackGuard);
+
+      // Update query for next batch
+      if (res.nextBlock) {
+        this.query.fromBlock = res.nextBlock;
+        stats.nextBlock = res.nextBlock;
+      }
+
+      // Insert batch when it reaches the batch size or has waited long enough
+      if (
+        this.pendingRows >= this.batchSize ||
+        performance.now() - this.lastFlushTime >= this.flushIntervalMs
+      ) {
+        await this.flushOrLog("Error inserting batch:");
+      }
+
+      if (this.verbose) this.printProgress();
+    }
+
+    if (this.stopping && stream) {
+      await stream.close().catch(() => {});
+    }
+
+    // Insert any remaining transfers in the final batch
+    await this.flushOrLog("Error inserting final batch:");
+
+    if (this.stopping) {
+      stats.status = "stopped";
+      this.log(
+        `🛑 Stopped at block ${this.query.fromBlock} after flushing pending events`
+      );
+      return;
+    }
+
+    // Print final results
+    stats.status = "done";
+    const totalTime = (performance.now() - stats.startTime) / 1000;
+    this.log(
+      `\n🎉 Scan complete: ${stats.totalEvents} events in ${totalTime.toFixed(
+        1
+      )} seconds`
+    );
+    this.log(`💰 Total Transfer Value: ${stats.totalTransferValue.toString()}`);
+    if (stats.malformedLogs > 0) {
+      this.log(
+        `🩺 ${stats.malformedLogs} malformed logs quarantined in ${this.malformedTableName}`
+      );
+    }
+    this.log(
+      `💾 All data saved to ClickHouse database: ${DATABASE}.${this.eventTables.join(
+        ", "
+      )}`
+    );
+  }
+}
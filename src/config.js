@@ -0,0 +1,173 @@
+import { existsSync, readFileSync } from "fs";
+import { createClient } from "@clickhouse/client";
+import { CHAIN_CONFIG } from "./chains.js";
+
+// Settings shared by every entry point. Values come from the built-in
+// defaults, then the config file (config/config.json, or the path in
+// TI_CONFIG), then environment variables.
+
+export const DEFAULT_CONFIG_FILE = "config/config.json";
+
+const DEFAULTS = {
+  chains: CHAIN_CONFIG,
+  hypersync: { bearerToken: "" },
+  clickhouse: {
+    url: "http://localhost:8123",
+    username: "default",
+    password: "",
+    database: "token_intelligence",
+    tls: null, // { caCert, cert, key } file paths
+  },
+  metabase: {
+    url: "http://localhost:3000",
+    username: "admin@example.com",
+    password: "",
+  },
+  batchSizes: {
+    insert: 1000, // Collector rows per insert
+    backfillChunk: 100000, // Blocks per backfill chunk
+    metadata: 1000, // Token metadata rows per insert
+    rpc: 100, // Tokens per metadata multicall round
+  },
+  pricing: {
+    // Registry asset IDs (config/canonical_tokens.json) valued at $1; each
+    // chain's wrappedNative is priced against them
+    stablecoins: ["usdc", "usdc-bridged", "usdt", "dai"],
+    interval: "hour", // Price candle interval: minute or hour
+  },
+};
+
+// Environment variable -> [section, key, parse]
+const ENV_OVERRIDES = {
+  HYPERSYNC_BEARER_TOKEN: ["hypersync", "bearerToken"],
+  CLICKHOUSE_URL: ["clickhouse", "url"],
+  CLICKHOUSE_USER: ["clickhouse", "username"],
+  CLICKHOUSE_PASSWORD: ["clickhouse", "password"],
+  CLICKHOUSE_DATABASE: ["clickhouse", "database"],
+  METABASE_URL: ["metabase", "url"],
+  METABASE_USER: ["metabase", "username"],
+  METABASE_PASSWORD: ["metabase", "password"],
+  INSERT_BATCH_SIZE: ["batchSizes", "insert", Number],
+  BACKFILL_CHUNK_SIZE: ["batchSizes", "backfillChunk", Number],
+  METADATA_BATCH_SIZE: ["batchSizes", "metadata", Number],
+  RPC_BATCH_SIZE: ["batchSizes", "rpc", Number],
+};
+
+// Merge the file's chains over the built-in ones. A chain only needs a name;
+// its Hypersync URL defaults to the public endpoint and its token to the
+// global one. RPC_URL_{chainId} sets the JSON-RPC endpoint (rpcUrl) used for
+// token metadata.
+function resolveChains(fileChains = {}, bearerToken, env) {
+  const chains = {};
+  const ids = new Set([
+    ...Object.keys(DEFAULTS.chains),
+    ...Object.keys(fileChains),
+  ]);
+
+  for (const id of ids) {
+    const chain = { ...DEFAULTS.chains[id], ...fileChains[id] };
+    if (!chain.name) throw new Error(`Chain ${id} has no name`);
+    chains[id] = {
+      ...chain,
+      hypersyncUrl: chain.hypersyncUrl || `http://${id}.hypersync.xyz`,
+      hypersyncToken: chain.hypersyncToken || bearerToken || undefined,
+      rpcUrl: env[`RPC_URL_${id}`] || chain.rpcUrl || undefined,
+      wrappedNative: chain.wrappedNative?.toLowerCase(),
+    };
+  }
+  return chains;
+}
+
+// Resolve the config from a file (by default TI_CONFIG or the default file)
+// and env. Throws on an invalid config; exiting is up to the caller.
+export function loadConfig(path, env = process.env) {
+  const file = path || env.TI_CONFIG || DEFAULT_CONFIG_FILE;
+
+  // The default file is optional, an explicitly given one is not
+  let fileConfig = {};
+  if (existsSync(file)) {
+    try {
+      fileConfig = JSON.parse(readFileSync(file, "utf8"));
+    } catch (error) {
+      throw new Error(`Invalid config file ${file}: ${error.message}`);
+    }
+  } else if (file !== DEFAULT_CONFIG_FILE) {
+    throw new Error(`Config file ${file} not found`);
+  }
+
+  const config = {};
+  for (const section of [
+    "hypersync",
+    "clickhouse",
+    "metabase",
+    "batchSizes",
+    "pricing",
+  ]) {
+    config[section] = { ...DEFAULTS[section], ...fileConfig[section] };
+  }
+
+  for (const [variable, [section, key, parse]] of Object.entries(
+    ENV_OVERRIDES
+  )) {
+    const value = env[variable];
+    if (value === undefined || value === "") continue;
+    config[section][key] = parse ? parse(value) : value;
+  }
+  if (env.CLICKHOUSE_TLS_CA_CERT) {
+    config.clickhouse.tls = {
+      caCert: env.CLICKHOUSE_TLS_CA_CERT,
+      cert: env.CLICKHOUSE_TLS_CERT,
+      key: env.CLICKHOUSE_TLS_KEY,
+    };
+  }
+
+  for (const [key, size] of Object.entries(config.batchSizes)) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error(`batchSizes.${key} must be a positive integer`);
+    }
+  }
+  if (!Array.isArray(config.pricing.stablecoins)) {
+    throw new Error(`pricing.stablecoins must be an array of asset IDs`);
+  }
+  if (!["minute", "hour"].includes(config.pricing.interval)) {
+    throw new Error(`pricing.interval must be minute or hour`);
+  }
+  if (!/^\w+$/.test(config.clickhouse.database)) {
+    throw new Error(`Invalid ClickHouse database name`);
+  }
+
+  config.chains = resolveChains(
+    fileConfig.chains,
+    config.hypersync.bearerToken,
+    env
+  );
+  return config;
+}
+
+// ClickHouse client for the configured server. Tables are always qualified
+// with the database, so the client itself does not select one.
+export function createClickHouseClient(clickhouseConfig = config.clickhouse) {
+  const { url, username, password, tls } = clickhouseConfig;
+  return createClient({
+    url,
+    username,
+    password,
+    ...(tls?.caCert && {
+      tls: {
+        ca_cert: readFileSync(tls.caCert),
+        ...(tls.cert &&
+          tls.key && {
+            cert: readFileSync(tls.cert),
+            key: readFileSync(tls.key),
+          }),
+      },
+    }),
+  });
+}
+
+// The config of this process. An invalid one throws on import, which stops
+// the entry point with the error.
+export const config = loadConfig();
+
+// Database holding every table, e.g. `${DATABASE}.erc20_transfers_1`
+export const DATABASE = config.clickhouse.database;
@@ -0,0 +1,200 @@
+import { DATABASE } from "./config.js";
+
+// Impersonation detection: token names and symbols are compared with the
+// assets of the canonical registry (src/registry.js), and every token gets
+// one risk label, stored in token_risk for dashboards to filter on.
+
+// Risk labels:
+//   canonical      the registered contract of an asset
+//   spoof          matches an asset once invisible characters or homoglyphs
+//                  are undone
+//   impersonation  same symbol or name as an asset registered on its chain
+//   lookalike      matches when case, spacing or 0/O-style swaps are ignored
+//   unverified     same symbol or name as an asset not registered on its
+//                  chain (possibly a bridged copy missing from the registry)
+//   none           resembles no registered asset
+export const RISK_LABELS = {
+  canonical: "canonical",
+  spoof: "spoof",
+  impersonation: "impersonation",
+  lookalike: "lookalike",
+  unverified: "unverified",
+  none: "none",
+};
+
+// Labels from least to most suspicious, to keep the worst match of a token
+const SEVERITY = [
+  RISK_LABELS.none,
+  RISK_LABELS.canonical,
+  RISK_LABELS.unverified,
+  RISK_LABELS.lookalike,
+  RISK_LABELS.impersonation,
+  RISK_LABELS.spoof,
+];
+
+// Zero-width, direction and other invisible format characters
+const INVISIBLE =
+  /[\p{Cf}\u034f\u115f\u1160\u17b4\u17b5\u180b-\u180f\u3164\ufe00-\ufe0f\uffa0]/gu;
+const COMBINING_MARKS = /\p{M}/gu;
+
+// Cyrillic, Greek and symbol characters drawn like Latin letters (e.g.
+// Cyrillic \u0410 for A, the tugrik sign \u20ae for T)
+const HOMOGLYPHS = Object.fromEntries(
+  Object.entries({
+    A: "\u0410\u0391",
+    B: "\u0412\u0392",
+    C: "\u0421\u03f9",
+    E: "\u0415\u0395",
+    H: "\u041d\u0397",
+    I: "\u0406\u0399\u04c0",
+    J: "\u0408",
+    K: "\u041a\u039a",
+    M: "\u041c\u039c",
+    N: "\u039d",
+    O: "\u041e\u039f",
+    P: "\u0420\u03a1",
+    S: "\u0405",
+    T: "\u0422\u03a4\u20ae",
+    X: "\u0425\u03a7",
+    Y: "\u0423\u03a5",
+    Z: "\u0396",
+    a: "\u0430\u03b1",
+    c: "\u0441\u03f2",
+    d: "\u0501",
+    e: "\u0435",
+    h: "\u04bb",
+    i: "\u0456\u0131",
+    j: "\u0458",
+    o: "\u043e\u03bf",
+    p: "\u0440",
+    s: "\u0455",
+    v: "\u03bd",
+    w: "\u051d",
+    x: "\u0445",
+    y: "\u0443",
+  }).flatMap(([latin, glyphs]) => [...glyphs].map((glyph) => [glyph, latin]))
+);
+
+// ASCII swaps that read alike once upper-cased
+const ASCII_LOOKALIKES = { 0: "O", 1: "I", 5: "S", L: "I" };
+
+// Undo deceptive characters only: compatibility forms (fullwidth, math
+// letters), accents, invisible characters and homoglyphs
+function undoDeception(text) {
+  return [
+    ...text
+      .normalize("NFKD")
+      .replace(INVISIBLE, "")
+      .replace(COMBINING_MARKS, ""),
+  ]
+    .map((char) => HOMOGLYPHS[char] ?? char)
+    .join("");
+}
+
+// Form two texts share when they look alike: no deceptive characters, upper
+// case, no spacing or punctuation, L/1/0/5 folded into I/I/O/S
+export function skeleton(text) {
+  return [
+    ...undoDeception(text)
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, ""),
+  ]
+    .map((char) => ASCII_LOOKALIKES[char] ?? char)
+    .join("");
+}
+
+// How text relates to a canonical name or symbol: "exact", "zero_width",
+// "homoglyph", "case", "lookalike", or null when it does not resemble it
+export function compareText(text, canonical) {
+  if (!text) return null;
+  if (text === canonical) return "exact";
+  if (skeleton(text) !== skeleton(canonical)) return null;
+
+  if (text.replace(INVISIBLE, "") !== text) return "zero_width";
+  if (undoDeception(text) !== text) return "homoglyph";
+  if (text.toUpperCase() === canonical.toUpperCase()) return "case";
+  return "lookalike";
+}
+
+function riskLabel(reasons, registeredOnChain) {
+  if (reasons.some((r) => /_(zero_width|homoglyph)$/.test(r))) {
+    return RISK_LABELS.spoof;
+  }
+  if (reasons.some((r) => r.endsWith("_exact"))) {
+    return registeredOnChain
+      ? RISK_LABELS.impersonation
+      : RISK_LABELS.unverified;
+  }
+  return RISK_LABELS.lookalike;
+}
+
+// Classifier for a registry: token ({ chain_id, contract_address, name,
+// symbol }) -> { risk_label, matched_asset, reasons }. Registered contracts
+// are canonical; anything else is labelled by its most suspicious match.
+export function createClassifier(registry) {
+  const canonical = new Map();
+  for (const asset of registry.assets) {
+    for (const { chainId, address } of asset.deployments) {
+      canonical.set(`${chainId}:${address}`, asset);
+    }
+  }
+
+  return (token) => {
+    const chainId = Number(token.chain_id);
+    const address = token.contract_address.toLowerCase();
+    const registered = canonical.get(`${chainId}:${address}`);
+    if (registered) {
+      return {
+        risk_label: RISK_LABELS.canonical,
+        matched_asset: registered.id,
+        reasons: [],
+      };
+    }
+
+    let result = {
+      risk_label: RISK_LABELS.none,
+      matched_asset: "",
+      reasons: [],
+    };
+    for (const asset of registry.assets) {
+      const reasons = [];
+      const symbolMatches = [asset.symbol, ...asset.aliases]
+        .map((symbol) => compareText(token.symbol, symbol))
+        .filter(Boolean);
+      const symbolMatch = symbolMatches.includes("exact")
+        ? "exact"
+        : symbolMatches[0];
+      if (symbolMatch) reasons.push(`symbol_${symbolMatch}`);
+      const nameMatch = compareText(token.name, asset.name);
+      if (nameMatch) reasons.push(`name_${nameMatch}`);
+      if (reasons.length === 0) continue;
+
+      const label = riskLabel(
+        reasons,
+        asset.deployments.some((deployment) => deployment.chainId === chainId)
+      );
+      if (SEVERITY.indexOf(label) > SEVERITY.indexOf(result.risk_label)) {
+        result = { risk_label: label, matched_asset: asset.id, reasons };
+      }
+    }
+    return result;
+  };
+}
+
+// Risk labels of every token, shared by all chains
+export async function initializeTokenRiskTable(clickhouse) {
+  await clickhouse.command({
+    query: `
+      CREATE TABLE IF NOT EXISTS ${DATABASE}.token_risk (
+        chain_id UInt64,
+        contract_address String,
+        risk_label LowCardinality(String),
+        matched_asset LowCardinality(String),
+        reasons Array(LowCardinality(String)),
+        registry_version UInt32,
+        classified_at DateTime64(3) DEFAULT now64(3)
+      ) ENGINE = ReplacingMergeTree(classified_at)
+      ORDER BY (chain_id, contract_address)
+    `,
+  });
+}
@@ -0,0 +1,454 @@
+import {
+  createPublicClient,
+  erc20Abi,
+  hexToString,
+  http,
+  parseAbi,
+} from "viem";
+import { DATABASE } from "./config.js";
+
+// Token metadata: the token_metadata table shared by all chains, and a
+// resolver that reads name/symbol/decimals of unknown tokens over JSON-RPC.
+//
+// Each load writes a new version of the rows it changes; the highest
+// version of a contract wins. Every field records the source its current
+// value came from, so a cache reload never discards what the resolver found.
+
+// Multicall3 has the same address on every supported chain
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+// Field sources: the .cache/ files, the RPC resolver, and rows copied from
+// tables created before sources were tracked
+export const SOURCES = { cache: "cache", rpc: "rpc", legacy: "legacy" };
+
+export const METADATA_FIELDS = ["name", "symbol", "decimals"];
+
+// Older tokens (e.g. MKR) return name and symbol as bytes32
+const bytes32MetadataAbi = parseAbi([
+  "function name() view returns (bytes32)",
+  "function symbol() view returns (bytes32)",
+]);
+
+// Longest name or symbol stored; some tokens return whole paragraphs
+const MAX_TEXT_LENGTH = 256;
+
+// Metadata of every chain lives in one table keyed by (chain_id, contract)
+export const METADATA_TABLE = "token_metadata";
+
+// Contracts whose metadata could not be read over RPC, skipped by
+// findMissingMetadata until retry_after
+export const FAILURES_TABLE = "token_metadata_failures";
+
+// Days before a failed contract is tried again: 1, 2, 4, ... up to 30
+const MAX_RETRY_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateTime = (date) => date.toISOString().slice(0, 19).replace("T", " ");
+
+const METADATA_COLUMNS = [
+  "contract_address",
+  "name",
+  "symbol",
+  "decimals",
+  "name_source",
+  "symbol_source",
+  "decimals_source",
+  "removed",
+  "version",
+  "created_at",
+];
+
+// Per-chain view over token_metadata, named like the tables it replaced
+export function metadataTableName(chainId) {
+  return `token_metadata_${chainId}`;
+}
+
+// Engine of a table or view in the database, or null when it does not exist
+export async function tableEngine(clickhouse, table) {
+  const result = await clickhouse.query({
+    query: `
+      SELECT engine FROM system.tables
+      WHERE database = {database:String} AND name = {table:String}
+    `,
+    query_params: { database: DATABASE, table },
+    format: "JSONEachRow",
+  });
+  const [row] = await result.json();
+  return row?.engine ?? null;
+}
+
+// Create the shared metadata table and the compatibility view of a chain.
+// A token_metadata_{chainId} table left by earlier versions is copied into
+// token_metadata first (unversioned ones with every field sourced `legacy`)
+// and then replaced by the view.
+export async function initializeTokenMetadataTable(clickhouse, chainId) {
+  await clickhouse.command({
+    query: `
+      CREATE TABLE IF NOT EXISTS ${DATABASE}.${METADATA_TABLE} (
+        chain_id UInt64,
+        contract_address LowCardinality(String),
+        name String,
+        symbol LowCardinality(String),
+        decimals UInt8,
+        name_source LowCardinality(String),
+        symbol_source LowCardinality(String),
+        decimals_source LowCardinality(String),
+        removed Bool DEFAULT false,
+        version UInt64,
+        created_at DateTime DEFAULT now(),
+
+        INDEX idx_contract contract_address TYPE bloom_filter GRANULARITY 1,
+        INDEX idx_symbol symbol TYPE bloom_filter GRANULARITY 1
+      ) ENGINE = ReplacingMergeTree(version)
+      ORDER BY (chain_id, contract_address)
+    `,
+  });
+
+  const view = metadataTableName(chainId);
+  const engine = await tableEngine(clickhouse, view);
+  if (engine && engine !== "View") {
+    console.log(`🔁 Moving ${view} into ${METADATA_TABLE}...`);
+    const columns =
+      engine === "ReplacingMergeTree"
+        ? METADATA_COLUMNS.join(", ")
+        : `contract_address, name, symbol, decimals, '${SOURCES.legacy}',
+           '${SOURCES.legacy}', '${SOURCES.legacy}', false, 0, created_at`;
+    await clickhouse.command({
+      query: `
+        INSERT INTO ${DATABASE}.${METADATA_TABLE}
+          (chain_id, ${METADATA_COLUMNS.join(", ")})
+        SELECT ${chainId}, ${columns}
+        FROM ${DATABASE}.${view}
+      `,
+    });
+    await clickhouse.command({ query: `DROP TABLE ${DATABASE}.${view}` });
+  }
+
+  await clickhouse.command({
+    query: `
+      CREATE OR REPLACE VIEW ${DATABASE}.${view} AS
+      SELECT ${METADATA_COLUMNS.join(", ")}
+      FROM ${DATABASE}.${METADATA_TABLE} FINAL
+      WHERE chain_id = ${chainId}
+    `,
+  });
+}
+
+// Latest row of every contract of a chain, keyed by address
+export async function readTokenMetadata(clickhouse, chainId) {
+  const result = await clickhouse.query({
+    query: `
+      SELECT * FROM ${DATABASE}.${METADATA_TABLE} FINAL
+      WHERE chain_id = {chainId:UInt64}
+    `,
+    query_params: { chainId },
+    format: "JSONEachRow",
+  });
+  const rows = await result.json();
+  return new Map(
+    rows.map((row) => [
+      row.contract_address,
+      { ...row, decimals: Number(row.decimals), removed: Boolean(row.removed) },
+    ])
+  );
+}
+
+// Stored row for a token whose fields all come from one source
+export function sourcedRow(token, source, version) {
+  return {
+    contract_address: token.contract_address,
+    name: token.name,
+    symbol: token.symbol,
+    decimals: token.decimals,
+    name_source: source,
+    symbol_source: source,
+    decimals_source: source,
+    removed: false,
+    version,
+  };
+}
+
+// Was this row part of an earlier cache load?
+const fromCache = (row) =>
+  !row.removed &&
+  METADATA_FIELDS.some((field) =>
+    [SOURCES.cache, SOURCES.legacy].includes(row[`${field}_source`])
+  );
+
+// Compare the entries of a cache file with the stored rows. Returns the
+// tokens added, the fields changed ({ contract_address, changes: { field:
+// [before, after] } }), the tokens no longer in the file, and the rows to
+// write at `version`. Fields keep their source when the value is unchanged;
+// tokens dropped from the file keep their values and are flagged removed.
+export function diffTokenMetadata(stored, entries, version) {
+  const added = [];
+  const changed = [];
+  const removed = [];
+  const rows = [];
+  const seen = new Set();
+
+  for (const entry of entries) {
+    seen.add(entry.contract_address);
+    const previous = stored.get(entry.contract_address);
+    if (!previous) {
+      added.push(entry.contract_address);
+      rows.push(sourcedRow(entry, SOURCES.cache, version));
+      continue;
+    }
+
+    const row = { ...previous, removed: false, version };
+    const changes = {};
+    for (const field of METADATA_FIELDS) {
+      if (previous[field] !== entry[field]) {
+        changes[field] = [previous[field], entry[field]];
+        row[field] = entry[field];
+        row[`${field}_source`] = SOURCES.cache;
+      } else if (previous[`${field}_source`] === SOURCES.legacy) {
+        row[`${field}_source`] = SOURCES.cache;
+      }
+    }
+
+    const sourceChanged = METADATA_FIELDS.some(
+      (field) => row[`${field}_source`] !== previous[`${field}_source`]
+    );
+    if (previous.removed) {
+      added.push(entry.contract_address);
+    } else if (Object.keys(changes).length > 0) {
+      changed.push({ contract_address: entry.contract_address, changes });
+    } else if (!sourceChanged) {
+      continue;
+    }
+    rows.push(row);
+  }
+
+  for (const [address, previous] of stored) {
+    if (seen.has(address) || !fromCache(previous)) continue;
+    removed.push(address);
+    rows.push({ ...previous, removed: true, version });
+  }
+
+  return { added, changed, removed, rows };
+}
+
+// Insert metadata rows of a chain
+export async function writeTokenMetadata(
+  clickhouse,
+  chainId,
+  rows,
+  options = {}
+) {
+  const { batchSize = rows.length } = options;
+  for (let i = 0; i < rows.length; i += batchSize) {
+    await clickhouse.insert({
+      table: `${DATABASE}.${METADATA_TABLE}`,
+      values: rows
+        .slice(i, i + batchSize)
+        .map((row) => ({ ...row, chain_id: chainId })),
+      format: "JSONEachRow",
+    });
+  }
+}
+
+// Merge pending versions so queries without FINAL see one row per token
+export async function optimizeTokenMetadata(clickhouse) {
+  await clickhouse.command({
+    query: `OPTIMIZE TABLE ${DATABASE}.${METADATA_TABLE} FINAL`,
+  });
+}
+
+// Create the table of failed resolver attempts for all chains
+export async function initializeMetadataFailures(clickhouse) {
+  await clickhouse.command({
+    query: `
+      CREATE TABLE IF NOT EXISTS ${DATABASE}.${FAILURES_TABLE} (
+        chain_id UInt64,
+        contract_address String,
+        attempts UInt32,
+        retry_after DateTime,
+        failed_at DateTime64(3) DEFAULT now64(3)
+      ) ENGINE = ReplacingMergeTree(failed_at)
+      ORDER BY (chain_id, contract_address)
+    `,
+  });
+}
+
+// Contracts with transfers but no metadata row, most active first. Recent
+// failures are left out, or the same spam contracts would take up the limit
+// on every pass.
+export async function findMissingMetadata(clickhouse, chainId, limit) {
+  const result = await clickhouse.query({
+    query: `
+      SELECT contract_address, count() AS transfers
+      FROM ${DATABASE}.erc20_transfers_${chainId}
+      WHERE contract_address NOT IN (
+        SELECT contract_address FROM ${DATABASE}.${METADATA_TABLE}
+        WHERE chain_id = {chainId:UInt64}
+      )
+      AND contract_address NOT IN (
+        SELECT contract_address FROM ${DATABASE}.${FAILURES_TABLE} FINAL
+        WHERE chain_id = {chainId:UInt64} AND retry_after > now()
+      )
+      GROUP BY contract_address
+      ORDER BY transfers DESC
+      LIMIT {limit:UInt32}
+    `,
+    query_params: { chainId, limit },
+    format: "JSONEachRow",
+  });
+  const rows = await result.json();
+  return rows.map((row) => row.contract_address);
+}
+
+// Record a failed attempt for each contract; every further failure doubles
+// the wait before the next one
+export async function recordMetadataFailures(
+  clickhouse,
+  chainId,
+  addresses,
+  now = new Date()
+) {
+  if (addresses.length === 0) return;
+
+  const result = await clickhouse.query({
+    query: `
+      SELECT contract_address, attempts
+      FROM ${DATABASE}.${FAILURES_TABLE} FINAL
+      WHERE chain_id = {chainId:UInt64}
+        AND contract_address IN {addresses:Array(String)}
+    `,
+    query_params: { chainId, addresses },
+    format: "JSONEachRow",
+  });
+  const previous = new Map(
+    (await result.json()).map((row) => [
+      row.contract_address,
+      Number(row.attempts),
+    ])
+  );
+
+  await clickhouse.insert({
+    table: `${DATABASE}.${FAILURES_TABLE}`,
+    values: addresses.map((address) => {
+      const attempts = (previous.get(address) ?? 0) + 1;
+      const days = Math.min(2 ** (attempts - 1), MAX_RETRY_DAYS);
+      return {
+        chain_id: chainId,
+        contract_address: address,
+        attempts,
+        retry_after: toDateTime(new Date(now.getTime() + days * DAY_MS)),
+      };
+    }),
+    format: "JSONEachRow",
+  });
+}
+
+// Printable text from a string or bytes32 result
+function cleanText({ result, bytes32 }) {
+  const text = bytes32 ? hexToString(result) : String(result ?? "");
+  return text
+    .replace(/[\u0000-\u001f\u007f]/g, "")
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+}
+
+// Call read-only functions, returning viem multicall results
+// ({ status, result | error }) in order. Without Multicall3 on the node
+// (e.g. a fresh local dev chain) each call is made on its own.
+export async function readContracts(client, contracts, multicallAddress) {
+  if (multicallAddress) {
+    return client.multicall({
+      contracts,
+      multicallAddress,
+      allowFailure: true,
+    });
+  }
+  return Promise.all(
+    contracts.map((contract) =>
+      client.readContract(contract).then(
+        (result) => ({ status: "success", result }),
+        (error) => ({ status: "failure", error })
+      )
+    )
+  );
+}
+
+// Read name, symbol and decimals of each address. Tokens whose decimals
+// cannot be read are returned as unresolved rather than guessed.
+export async function resolveTokenMetadata(client, addresses, options = {}) {
+  const { multicallAddress = null } = options;
+  const functions = ["name", "symbol", "decimals"];
+
+  const results = await readContracts(
+    client,
+    addresses.flatMap((address) =>
+      functions.map((functionName) => ({
+        address,
+        abi: erc20Abi,
+        functionName,
+      }))
+    ),
+    multicallAddress
+  );
+
+  const tokens = addresses.map((address, i) => {
+    const [name, symbol, decimals] = results.slice(i * 3, i * 3 + 3);
+    return { address, name, symbol, decimals };
+  });
+
+  // Retry names and symbols that did not decode as strings as bytes32
+  const retries = tokens.flatMap((token) =>
+    ["name", "symbol"]
+      .filter((field) => token[field].status === "failure")
+      .map((field) => ({ token, field }))
+  );
+  if (retries.length > 0) {
+    const retried = await readContracts(
+      client,
+      retries.map(({ token, field }) => ({
+        address: token.address,
+        abi: bytes32MetadataAbi,
+        functionName: field,
+      })),
+      multicallAddress
+    );
+    retries.forEach(({ token, field }, i) => {
+      if (retried[i].status === "success") {
+        token[field] = { ...retried[i], bytes32: true };
+      }
+    });
+  }
+
+  const resolved = [];
+  const unresolved = [];
+  for (const token of tokens) {
+    const decimals = Number(token.decimals.result);
+    if (
+      token.decimals.status !== "success" ||
+      !Number.isInteger(decimals) ||
+      decimals < 0 ||
+      decimals > 255
+    ) {
+      unresolved.push(token.address);
+      continue;
+    }
+
+    // A reverting name or symbol is stored empty
+    resolved.push({
+      contract_address: token.address.toLowerCase(),
+      name: token.name.status === "success" ? cleanText(token.name) : "",
+      symbol: token.symbol.status === "success" ? cleanText(token.symbol) : "",
+      decimals,
+    });
+  }
+
+  return { resolved, unresolved };
+}
+
+// viem client for an RPC URL, and the Multicall3 address to use with it
+// (null when the contract is not deployed there)
+export async function createMetadataClient(rpcUrl, multicallAddress) {
+  const client = createPublicClient({ transport: http(rpcUrl) });
+  const address = multicallAddress || MULTICALL3_ADDRESS;
+  const code = await client.getCode({ address });
+  return { client, multicallAddress: code && code !== "0x" ? address : null };
+}
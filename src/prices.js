@@ -0,0 +1,394 @@
+import { parseAbi } from "viem";
+import { DATABASE } from "./config.js";
+import { METADATA_TABLE, readContracts } from "./metadata.js";
+
+// DEX prices: USD candles of tokens, derived from the Uniswap V2/V3 pool
+// events the collector stores with --prices (dex_swaps_{chainId},
+// dex_syncs_{chainId}).
+//
+// Tokens are priced against quote assets: the stablecoins of
+// pricing.stablecoins, valued at $1, and the chain's wrapped native token,
+// itself priced against the stablecoins. The tokens of each pool are read
+// over JSON-RPC into dex_pools; candles of every chain go to
+// token_price_candles.
+
+export const CANDLE_INTERVALS = ["minute", "hour"];
+
+const poolAbi = parseAbi([
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+]);
+
+const toDateTime = (date) => date.toISOString().slice(0, 19).replace("T", " ");
+
+// Tokens of each pool, and the candles built from them. Rebuilding a window
+// writes a new version of its candles.
+export async function initializePriceTables(clickhouse) {
+  await clickhouse.command({
+    query: `
+      CREATE TABLE IF NOT EXISTS ${DATABASE}.dex_pools (
+        chain_id UInt64,
+        pool_address String,
+        token0 String,
+        token1 String,
+        resolved_at DateTime DEFAULT now()
+      ) ENGINE = ReplacingMergeTree(resolved_at)
+      ORDER BY (chain_id, pool_address)
+    `,
+  });
+
+  await clickhouse.command({
+    query: `
+      CREATE TABLE IF NOT EXISTS ${DATABASE}.token_price_candles (
+        chain_id UInt64,
+        interval LowCardinality(String),
+        token_address String,
+        bucket DateTime,
+        open Float64,
+        high Float64,
+        low Float64,
+        close Float64,
+        volume_usd Float64,
+        swaps UInt32,
+        reference_pool String,
+        quote_address String,
+        version UInt64
+      ) ENGINE = ReplacingMergeTree(version)
+      ORDER BY (chain_id, interval, token_address, bucket)
+      PARTITION BY toYYYYMM(bucket)
+    `,
+  });
+}
+
+// Quote assets of a chain: { stablecoins: Set of addresses, wrappedNative }.
+// Stablecoins are registry asset IDs, looked up in the chain's deployments.
+export function quoteAssets(registry, chainId, stablecoinIds, wrappedNative) {
+  const stablecoins = new Set();
+  for (const id of stablecoinIds) {
+    const asset = registry.assets.find((candidate) => candidate.id === id);
+    if (!asset) throw new Error(`Unknown stablecoin asset ${id}`);
+    const deployment = asset.deployments.find(
+      (candidate) => candidate.chainId === Number(chainId)
+    );
+    if (deployment) stablecoins.add(deployment.address);
+  }
+  return { stablecoins, wrappedNative: wrappedNative ?? null };
+}
+
+// Pools with events but no dex_pools row, most events first
+export async function findUnresolvedPools(clickhouse, chainId, limit) {
+  const result = await clickhouse.query({
+    query: `
+      SELECT pool_address, count() AS events
+      FROM (
+        SELECT pool_address FROM ${DATABASE}.dex_swaps_${chainId}
+        UNION ALL
+        SELECT pool_address FROM ${DATABASE}.dex_syncs_${chainId}
+      )
+      WHERE pool_address NOT IN (
+        SELECT pool_address FROM ${DATABASE}.dex_pools
+        WHERE chain_id = {chainId:UInt64}
+      )
+      GROUP BY pool_address
+      ORDER BY events DESC
+      LIMIT {limit:UInt32}
+    `,
+    query_params: { chainId, limit },
+    format: "JSONEachRow",
+  });
+  const rows = await result.json();
+  return rows.map((row) => row.pool_address);
+}
+
+// Read token0 and token1 of each pool. Contracts that do not answer both
+// (events from something other than a pair or pool) are unresolved.
+export async function resolvePools(client, addresses, options = {}) {
+  const { multicallAddress = null } = options;
+  const results = await readContracts(
+    client,
+    addresses.flatMap((address) =>
+      ["token0", "token1"].map((functionName) => ({
+        address,
+        abi: poolAbi,
+        functionName,
+      }))
+    ),
+    multicallAddress
+  );
+
+  const resolved = [];
+  const unresolved = [];
+  addresses.forEach((address, i) => {
+    const [token0, token1] = results.slice(i * 2, i * 2 + 2);
+    if (token0.status !== "success" || token1.status !== "success") {
+      unresolved.push(address);
+      return;
+    }
+    resolved.push({
+      pool_address: address.toLowerCase(),
+      token0: token0.result.toLowerCase(),
+      token1: token1.result.toLowerCase(),
+    });
+  });
+  return { resolved, unresolved };
+}
+
+export async function writePools(clickhouse, chainId, pools) {
+  if (pools.length === 0) return;
+  await clickhouse.insert({
+    table: `${DATABASE}.dex_pools`,
+    values: pools.map((pool) => ({ ...pool, chain_id: chainId })),
+    format: "JSONEachRow",
+  });
+}
+
+// Events in [from, to) of the pools trading a quote asset, in chain order:
+// { pool_address, token0, token1, block_timestamp, price, amount0, amount1,
+// is_swap }. price is token1 per token0 after the event (null for V2 swaps,
+// whose Sync carries it) and amounts are whole tokens into the pool. Pools
+// whose tokens have no known decimals are left out.
+export async function readPriceObservations(clickhouse, chainId, options) {
+  const { from, to, quotes } = options;
+  const decimals = `
+    SELECT contract_address, decimals
+    FROM ${DATABASE}.${METADATA_TABLE} FINAL
+    WHERE chain_id = {chainId:UInt64}
+  `;
+  const result = await clickhouse.query({
+    query: `
+      SELECT
+        o.pool_address AS pool_address,
+        p.token0 AS token0,
+        p.token1 AS token1,
+        o.block_number AS block_number,
+        o.log_index AS log_index,
+        o.block_timestamp AS block_timestamp,
+        o.raw_price * pow(10, toInt16(m0.decimals) - toInt16(m1.decimals)) AS price,
+        toFloat64(o.amount0) / pow(10, m0.decimals) AS amount0,
+        toFloat64(o.amount1) / pow(10, m1.decimals) AS amount1,
+        o.is_swap AS is_swap
+      FROM (
+        SELECT pool_address, block_number, log_index, block_timestamp,
+               if(protocol = 'uniswap_v3',
+                  pow(toFloat64(sqrt_price_x96) / pow(2, 96), 2),
+                  NULL) AS raw_price,
+               amount0, amount1, true AS is_swap
+        FROM ${DATABASE}.dex_swaps_${chainId}
+        WHERE block_timestamp >= {from:DateTime}
+          AND block_timestamp < {to:DateTime}
+        UNION ALL
+        SELECT pool_address, block_number, log_index, block_timestamp,
+               toFloat64(reserve1) / toFloat64(reserve0) AS raw_price,
+               toInt256(0) AS amount0, toInt256(0) AS amount1,
+               false AS is_swap
+        FROM ${DATABASE}.dex_syncs_${chainId}
+        WHERE reserve0 > 0 AND reserve1 > 0
+          AND block_timestamp >= {from:DateTime}
+          AND block_timestamp < {to:DateTime}
+      ) AS o
+      JOIN (
+        SELECT pool_address, token0, token1
+        FROM ${DATABASE}.dex_pools FINAL
+        WHERE chain_id = {chainId:UInt64}
+          AND (token0 IN {quotes:Array(String)}
+               OR token1 IN {quotes:Array(String)})
+      ) AS p ON o.pool_address = p.pool_address
+      JOIN (${decimals}) AS m0 ON p.token0 = m0.contract_address
+      JOIN (${decimals}) AS m1 ON p.token1 = m1.contract_address
+      ORDER BY block_number, log_index
+    `,
+    query_params: {
+      chainId,
+      from: toDateTime(from),
+      to: toDateTime(to),
+      quotes: [...quotes.stablecoins, quotes.wrappedNative].filter(Boolean),
+    },
+    format: "JSONEachRow",
+  });
+  const rows = await result.json();
+  return rows.map((row) => ({
+    ...row,
+    block_number: Number(row.block_number),
+  }));
+}
+
+// Start of the candle holding a "YYYY-MM-DD hh:mm:ss" timestamp
+const bucketOf = (timestamp, interval) =>
+  interval === "hour"
+    ? `${timestamp.slice(0, 13)}:00:00`
+    : `${timestamp.slice(0, 16)}:00`;
+
+// The side of a pool event that gets a price: the token against its quote
+// asset, or the wrapped native token against a stablecoin. null for pools of
+// two stablecoins, or of two tokens that are not quote assets.
+function pricedSide(observation, { stablecoins, wrappedNative }) {
+  const { token0, token1, price, amount0, amount1 } = observation;
+  const isQuote = (token) => stablecoins.has(token) || token === wrappedNative;
+  const quotes = (quote, token) =>
+    isQuote(quote) &&
+    (!isQuote(token) || (token === wrappedNative && stablecoins.has(quote)));
+
+  if (quotes(token1, token0)) {
+    return { token: token0, quote: token1, price, quoteAmount: amount1 };
+  }
+  if (quotes(token0, token1)) {
+    return {
+      token: token1,
+      quote: token0,
+      price: price ? 1 / price : null,
+      quoteAmount: amount0,
+    };
+  }
+  return null;
+}
+
+// Candles of each token and bucket from priced points ({ token, pool, quote,
+// bucket, priceUsd, volumeUsd, swap }) in chain order. Prices come from one
+// pool per bucket, the one with the most USD volume over all points that has
+// a price in it, so a thin pool cannot move the price; volume and swaps add
+// up every pool.
+function candlesFromPoints(points) {
+  const poolVolumes = new Map(); // token -> pool -> volume
+  const groups = new Map(); // token|bucket -> points
+  for (const point of points) {
+    const volumes = poolVolumes.get(point.token) ?? new Map();
+    volumes.set(point.pool, (volumes.get(point.pool) ?? 0) + point.volumeUsd);
+    poolVolumes.set(point.token, volumes);
+
+    const key = `${point.token}|${point.bucket}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(point);
+  }
+
+  const candles = [];
+  for (const group of groups.values()) {
+    const { token, bucket } = group[0];
+    const priced = group.filter((point) => point.priceUsd !== null);
+    if (priced.length === 0) continue;
+
+    const volumes = poolVolumes.get(token);
+    const pool = priced.reduce((best, point) =>
+      volumes.get(point.pool) > volumes.get(best.pool) ? point : best
+    ).pool;
+    const prices = priced.filter((point) => point.pool === pool);
+
+    candles.push({
+      token_address: token,
+      bucket,
+      open: prices[0].priceUsd,
+      high: prices.reduce(
+        (max, point) => Math.max(max, point.priceUsd),
+        prices[0].priceUsd
+      ),
+      low: prices.reduce(
+        (min, point) => Math.min(min, point.priceUsd),
+        prices[0].priceUsd
+      ),
+      close: prices[prices.length - 1].priceUsd,
+      volume_usd: group.reduce((sum, point) => sum + point.volumeUsd, 0),
+      swaps: group.filter((point) => point.swap).length,
+      reference_pool: pool,
+      quote_address: prices[0].quote,
+    });
+  }
+  return candles;
+}
+
+// USD candles from pool events in chain order (see readPriceObservations).
+// The wrapped native token is priced first, against stablecoins; tokens
+// quoted in it are converted at its close of the same bucket, or the last
+// one before (nativeUsd, carried from the previous window). Stablecoins get
+// $1 candles with the volume they were traded for. Returns { candles,
+// nativeUsd } with the last native price, for the next window.
+export function buildCandles(observations, options) {
+  const { quotes, interval, nativeUsd = null } = options;
+
+  const sides = [];
+  for (const observation of observations) {
+    const side = pricedSide(observation, quotes);
+    if (!side) continue;
+    sides.push({
+      ...side,
+      pool: observation.pool_address,
+      bucket: bucketOf(observation.block_timestamp, interval),
+      swap: Boolean(observation.is_swap),
+    });
+  }
+
+  const point = (side, quoteUsd) => ({
+    token: side.token,
+    pool: side.pool,
+    quote: side.quote,
+    bucket: side.bucket,
+    swap: side.swap,
+    priceUsd: side.price === null ? null : side.price * quoteUsd,
+    volumeUsd: Math.abs(side.quoteAmount) * quoteUsd,
+  });
+
+  const nativeCandles = candlesFromPoints(
+    sides
+      .filter((side) => side.token === quotes.wrappedNative)
+      .map((side) => point(side, 1))
+  );
+  const nativeCloses = new Map(
+    nativeCandles.map((candle) => [candle.bucket, candle.close])
+  );
+
+  const tokenPoints = [];
+  const pegPoints = [];
+  let lastNative = nativeUsd;
+  for (const side of sides) {
+    if (quotes.stablecoins.has(side.quote)) {
+      pegPoints.push({ ...point(side, 1), token: side.quote, priceUsd: 1 });
+    }
+    if (side.token === quotes.wrappedNative) continue;
+
+    lastNative = nativeCloses.get(side.bucket) ?? lastNative;
+    const quoteUsd = quotes.stablecoins.has(side.quote) ? 1 : lastNative;
+    if (quoteUsd === null) continue; // No native price yet
+    tokenPoints.push(point(side, quoteUsd));
+  }
+
+  return {
+    candles: [
+      ...nativeCandles,
+      ...candlesFromPoints(tokenPoints),
+      ...candlesFromPoints(pegPoints),
+    ],
+    nativeUsd: nativeCandles.at(-1)?.close ?? nativeUsd,
+  };
+}
+
+export async function writeCandles(clickhouse, chainId, options) {
+  const { interval, candles, version } = options;
+  if (candles.length === 0) return;
+  await clickhouse.insert({
+    table: `${DATABASE}.token_price_candles`,
+    values: candles.map((candle) => ({
+      ...candle,
+      chain_id: chainId,
+      interval,
+      version,
+    })),
+    format: "JSONEachRow",
+  });
+}
+
+// Close of a token's last candle before a date, or null without one
+export async function lastClose(clickhouse, chainId, options) {
+  const { interval, token, before } = options;
+  const result = await clickhouse.query({
+    query: `
+      SELECT argMax(close, bucket) AS close, count() AS candles
+      FROM ${DATABASE}.token_price_candles FINAL
+      WHERE chain_id = {chainId:UInt64}
+        AND interval = {interval:String}
+        AND token_address = {token:String}
+        AND bucket < {before:DateTime}
+    `,
+    query_params: { chainId, interval, token, before: toDateTime(before) },
+    format: "JSONEachRow",
+  });
+  const [row] = await result.json();
+  return Number(row?.candles) > 0 ? row.close : null;
+}
@@ -0,0 +1,291 @@
+import { readFile } from "fs/promises";
+import { DATABASE } from "./config.js";
+
+// Canonical token registry: well-known assets and their official contract on
+// each chain, kept in a versioned JSON file:
+//
+//   { "version": 1, "assets": [{ "id": "usdc", "symbol": "USDC",
+//     "name": "USD Coin", "aliases": ["USDC.e"],
+//     "deployments": { "8453": { "address": "0x...", "decimals": 6 } } }] }
+//
+// Bump `version` whenever an entry changes, so stored results can be traced
+// back to the registry they were derived from. Every loaded version is kept
+// in canonical_token_registry; the canonical_tokens view shows the latest.
+
+export const DEFAULT_REGISTRY_FILE = "config/canonical_tokens.json";
+
+const ADDRESS_PATTERN = /^0x[0-9a-f]{40}$/;
+const ID_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+
+function parseAsset(asset) {
+  const label = `Asset ${asset.id ?? "(no id)"}`;
+  if (!ID_PATTERN.test(asset.id ?? "")) {
+    throw new Error(`${label}: id must be lowercase letters, digits, . _ -`);
+  }
+  if (!asset.symbol || !asset.name) {
+    throw new Error(`${label}: symbol and name are required`);
+  }
+  if (asset.aliases !== undefined && !Array.isArray(asset.aliases)) {
+    throw new Error(`${label}: aliases must be an array`);
+  }
+
+  const deployments = Object.entries(asset.deployments ?? {}).map(
+    ([chainId, deployment]) => {
+      const address = String(deployment.address).toLowerCase();
+      if (!ADDRESS_PATTERN.test(address)) {
+        throw new Error(`${label}: invalid address on chain ${chainId}`);
+      }
+      if (
+        !Number.isInteger(deployment.decimals) ||
+        deployment.decimals < 0 ||
+        deployment.decimals > 255
+      ) {
+        throw new Error(`${label}: invalid decimals on chain ${chainId}`);
+      }
+      return {
+        chainId: Number(chainId),
+        address,
+        decimals: deployment.decimals,
+      };
+    }
+  );
+  if (deployments.length === 0) {
+    throw new Error(`${label}: no deployments`);
+  }
+
+  return {
+    id: asset.id,
+    symbol: asset.symbol,
+    name: asset.name,
+    aliases: asset.aliases ?? [],
+    deployments,
+  };
+}
+
+// Read and validate a registry file into { version, assets }
+export async function loadRegistry(file = DEFAULT_REGISTRY_FILE) {
+  let parsed;
+  try {
+    parsed = JSON.parse(await readFile(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid registry file ${file}: ${error.message}`);
+  }
+
+  if (!Number.isInteger(parsed.version) || parsed.version < 1) {
+    throw new Error(`Registry ${file} needs a positive integer version`);
+  }
+  const assets = (parsed.assets ?? []).map(parseAsset);
+
+  const ids = new Set();
+  const deployed = new Set();
+  for (const asset of assets) {
+    if (ids.has(asset.id)) throw new Error(`Duplicate asset id ${asset.id}`);
+    ids.add(asset.id);
+    for (const { chainId, address } of asset.deployments) {
+      const key = `${chainId}:${address}`;
+      if (deployed.has(key)) {
+        throw new Error(`${address} on chain ${chainId} is listed twice`);
+      }
+      deployed.add(key);
+    }
+  }
+
+  return { version: parsed.version, assets };
+}
+
+// Every version ever loaded, one row per asset deployment
+export async function initializeRegistryTables(clickhouse) {
+  await clickhouse.command({
+    query: `
+      CREATE TABLE IF NOT EXISTS ${DATABASE}.canonical_token_registry (
+        registry_version UInt32,
+        asset_id LowCardinality(String),
+        symbol LowCardinality(String),
+        name String,
+        chain_id UInt64,
+        contract_address String,
+        decimals UInt8,
+        loaded_at DateTime DEFAULT now()
+      ) ENGINE = MergeTree()
+      ORDER BY (registry_version, asset_id, chain_id)
+    `,
+  });
+
+  await clickhouse.command({
+    query: `
+      CREATE OR REPLACE VIEW ${DATABASE}.canonical_tokens AS
+      SELECT asset_id, symbol, name, chain_id, contract_address, decimals,
+             registry_version
+      FROM ${DATABASE}.canonical_token_registry
+      WHERE registry_version = (
+        SELECT max(registry_version) FROM ${DATABASE}.canonical_token_registry
+      )
+    `,
+  });
+}
+
+// Rows of canonical_token_registry for a registry
+export function registryRows(registry) {
+  return registry.assets.flatMap((asset) =>
+    asset.deployments.map((deployment) => ({
+      registry_version: registry.version,
+      asset_id: asset.id,
+      symbol: asset.symbol,
+      name: asset.name,
+      chain_id: deployment.chainId,
+      contract_address: deployment.address,
+      decimals: deployment.decimals,
+    }))
+  );
+}
+
+const rowKey = (row) =>
+  [
+    row.asset_id,
+    row.symbol,
+    row.name,
+    Number(row.chain_id),
+    row.contract_address,
+    Number(row.decimals),
+  ].join("|");
+
+// Decide whether registry rows can be stored next to the stored rows of
+// the same or later versions: true when the version is new, false when it
+// is already loaded as is. A version loaded with other entries, or one
+// older than the latest, means the file was edited without a version bump.
+export function isNewRegistryVersion(stored, rows, version) {
+  const newer = stored.filter((row) => Number(row.registry_version) > version);
+  if (newer.length > 0) {
+    const latest = Math.max(
+      ...newer.map((row) => Number(row.registry_version))
+    );
+    throw new Error(
+      `Registry version ${version} is older than the loaded version ${latest}`
+    );
+  }
+
+  const same = stored.filter((row) => Number(row.registry_version) === version);
+  if (same.length === 0) return true;
+
+  const storedKeys = same.map(rowKey).sort().join("\n");
+  if (storedKeys !== rows.map(rowKey).sort().join("\n")) {
+    throw new Error(
+      `Registry version ${version} is already loaded with different entries; bump "version" in the registry file`
+    );
+  }
+  return false;
+}
+
+// Store a registry unless its version is already loaded. Returns whether
+// rows were written.
+export async function storeRegistry(clickhouse, registry) {
+  const result = await clickhouse.query({
+    query: `
+      SELECT registry_version, asset_id, symbol, name, chain_id,
+             contract_address, decimals
+      FROM ${DATABASE}.canonical_token_registry
+      WHERE registry_version >= {version:UInt32}
+    `,
+    query_params: { version: registry.version },
+    format: "JSONEachRow",
+  });
+  const rows = registryRows(registry);
+  if (!isNewRegistryVersion(await result.json(), rows, registry.version)) {
+    return false;
+  }
+
+  await clickhouse.insert({
+    table: `${DATABASE}.canonical_token_registry`,
+    values: rows,
+    format: "JSONEachRow",
+  });
+  return true;
+}
+
+// Transfers of registered assets on every collected chain: the
+// erc20_transfers_{chainId} tables are read through merge(), so chains are
+// picked up as soon as they have a table.
+const canonicalTransfers = (where) => `
+  SELECT
+    t.chain_id AS chain_id,
+    r.asset_id AS asset_id,
+    r.contract_address AS contract_address,
+    r.decimals AS decimals,
+    t.value AS value,
+    t.from_address AS from_address,
+    t.to_address AS to_address,
+    t.block_timestamp AS block_timestamp
+  FROM (
+    SELECT
+      toUInt64(extract(_table, '[0-9]+$')) AS chain_id,
+      contract_address, value, from_address, to_address, block_timestamp
+    FROM merge('${DATABASE}', '^erc20_transfers_[0-9]+$')
+    WHERE contract_address IN (
+      SELECT contract_address FROM ${DATABASE}.canonical_tokens
+    )
+  ) AS t
+  JOIN ${DATABASE}.canonical_tokens AS r
+    ON r.chain_id = t.chain_id AND r.contract_address = t.contract_address
+  ${where}
+`;
+
+function activityFilter({ assetId, since }) {
+  const conditions = [];
+  if (assetId) conditions.push("r.asset_id = {assetId:String}");
+  if (since) conditions.push("t.block_timestamp >= {since:DateTime}");
+  return conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+}
+
+const toDateTime = (date) => date.toISOString().slice(0, 19).replace("T", " ");
+
+function activityParams({ assetId, since }) {
+  return {
+    ...(assetId && { assetId }),
+    ...(since && { since: toDateTime(since) }),
+  };
+}
+
+// Transfer activity of registered assets per chain. Volumes are in whole
+// tokens, scaled by the registry's decimals.
+//   options: { assetId, since (Date) }
+export async function queryAssetActivity(clickhouse, options = {}) {
+  const result = await clickhouse.query({
+    query: `
+      SELECT
+        asset_id,
+        chain_id,
+        contract_address,
+        count() AS transfers,
+        sum(toFloat64(value)) / pow(10, any(decimals)) AS volume,
+        uniqExact(from_address) AS senders,
+        uniqExact(to_address) AS receivers,
+        min(block_timestamp) AS first_transfer,
+        max(block_timestamp) AS last_transfer
+      FROM (${canonicalTransfers(activityFilter(options))})
+      GROUP BY asset_id, chain_id, contract_address
+      ORDER BY asset_id, volume DESC
+    `,
+    query_params: activityParams(options),
+    format: "JSONEachRow",
+  });
+  return result.json();
+}
+
+// Daily transfers and volume of one asset, summed over every chain
+export async function queryAssetDailyActivity(clickhouse, options) {
+  const result = await clickhouse.query({
+    query: `
+      SELECT
+        toDate(block_timestamp) AS day,
+        count() AS transfers,
+        sum(toFloat64(value) / pow(10, decimals)) AS volume,
+        uniqExact(chain_id) AS chains
+      FROM (${canonicalTransfers(activityFilter(options))})
+      GROUP BY day
+      ORDER BY day
+    `,
+    query_params: activityParams(options),
+    format: "JSONEachRow",
+  });
+  return result.json();
+}
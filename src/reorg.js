@@ -0,0 +1,232 @@
+import { BlockField } from "@envio-dev/hypersync-client";
+import { deleteChainRows } from "./balances.js";
+import { DATABASE } from "./config.js";
+
+// How many blocks below the highest seen block we keep hashes for.
+// Reorgs deeper than this cannot be detected.
+export const REORG_WINDOW = 200;
+
+// Recent block hashes for one chain, used to spot parent-hash mismatches
+export class BlockHashTracker {
+  constructor(windowSize = REORG_WINDOW) {
+    this.windowSize = windowSize;
+    this.hashes = new Map(); // block_number -> block hash
+    this.highestBlock = 0;
+  }
+
+  get size() {
+    return this.hashes.size;
+  }
+
+  // Seed the tracker from the blocks table on resume
+  async load(clickhouse, blocksTableName) {
+    const result = await clickhouse.query({
+      query: `
+        SELECT block_number, any(block_hash) as block_hash
+        FROM ${DATABASE}.${blocksTableName}
+        WHERE block_number > (
+          SELECT MAX(block_number) FROM ${DATABASE}.${blocksTableName}
+        ) - ${this.windowSize}
+        GROUP BY block_number
+      `,
+      format: "JSONEachRow",
+    });
+
+    for (const row of await result.json()) {
+      this.set(Number(row.block_number), row.block_hash);
+    }
+    this.prune();
+  }
+
+  set(blockNumber, hash) {
+    if (!hash) return;
+    this.hashes.set(blockNumber, hash);
+    if (blockNumber > this.highestBlock) this.highestBlock = blockNumber;
+  }
+
+  // Return the first block in a response that does not fit the known hashes
+  findConflict(blocks, rollbackGuard) {
+    const sorted = [...blocks].sort(
+      (a, b) => Number(a.number) - Number(b.number)
+    );
+
+    for (const block of sorted) {
+      const number = Number(block.number);
+      const knownHash = this.hashes.get(number);
+      if (knownHash && block.hash && knownHash !== block.hash) {
+        return { blockNumber: number, knownHash, newHash: block.hash };
+      }
+      const knownParent = this.hashes.get(number - 1);
+      if (knownParent && block.parentHash && knownParent !== block.parentHash) {
+        return {
+          blockNumber: number - 1,
+          knownHash: knownParent,
+          newHash: block.parentHash,
+        };
+      }
+    }
+
+    // The guard covers the blocks between the ones joined to our logs
+    if (rollbackGuard) {
+      const firstParent = rollbackGuard.firstBlockNumber - 1;
+      const knownParent = this.hashes.get(firstParent);
+      if (
+        knownParent &&
+        rollbackGuard.firstParentHash &&
+        knownParent !== rollbackGuard.firstParentHash
+      ) {
+        return {
+          blockNumber: firstParent,
+          knownHash: knownParent,
+          newHash: rollbackGuard.firstParentHash,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Remember the hashes of a response once it has been accepted
+  remember(blocks, rollbackGuard) {
+    for (const block of blocks) {
+      const number = Number(block.number);
+      this.set(number, block.hash);
+      if (!this.hashes.has(number - 1)) this.set(number - 1, block.parentHash);
+    }
+    if (rollbackGuard) {
+      this.set(rollbackGuard.blockNumber, rollbackGuard.hash);
+    }
+    this.prune();
+  }
+
+  // Forget everything at and above the fork block
+  rewind(forkBlock) {
+    for (const number of this.hashes.keys()) {
+      if (number >= forkBlock) this.hashes.delete(number);
+    }
+    this.highestBlock = Math.max(0, ...this.hashes.keys());
+  }
+
+  prune() {
+    const floor = this.highestBlock - this.windowSize;
+    for (const number of this.hashes.keys()) {
+      if (number <= floor) this.hashes.delete(number);
+    }
+  }
+}
+
+// Fetch the canonical hashes for every block in [fromBlock, toBlock)
+async function fetchCanonicalHashes(client, fromBlock, toBlock) {
+  const canonical = new Map();
+  let nextBlock = fromBlock;
+
+  while (nextBlock < toBlock) {
+    const res = await client.get({
+      fromBlock: nextBlock,
+      toBlock,
+      includeAllBlocks: true,
+      fieldSelection: { block: [BlockField.Number, BlockField.Hash] },
+    });
+
+    for (const block of res.data.blocks || []) {
+      canonical.set(Number(block.number), block.hash);
+    }
+
+    // The archive does not have these blocks (yet), stop here
+    if (!res.nextBlock || res.nextBlock <= nextBlock) break;
+    nextBlock = res.nextBlock;
+  }
+
+  return canonical;
+}
+
+// Compare tracked hashes with the canonical chain and return the lowest
+// orphaned block, or null when everything we know is still canonical
+export async function findForkBlock(client, tracker) {
+  if (tracker.size === 0) return null;
+
+  const numbers = [...tracker.hashes.keys()].sort((a, b) => a - b);
+  const canonical = await fetchCanonicalHashes(
+    client,
+    numbers[0],
+    numbers[numbers.length - 1] + 1
+  );
+
+  for (const number of numbers) {
+    const canonicalHash = canonical.get(number);
+    // Past the archive height: not known yet, which is no fork
+    if (!canonicalHash) break;
+    if (canonicalHash !== tracker.hashes.get(number)) {
+      return {
+        blockNumber: number,
+        knownHash: tracker.hashes.get(number),
+        newHash: canonicalHash,
+      };
+    }
+  }
+
+  return null;
+}
+
+// Create the audit table shared by all chains
+export async function initializeReorgLog(clickhouse) {
+  await clickhouse.command({
+    query: `
+      CREATE TABLE IF NOT EXISTS ${DATABASE}.reorg_log (
+        chain_id UInt64,
+        fork_block UInt64,
+        orphaned_head UInt64,
+        depth UInt64,
+        orphaned_hash String,
+        canonical_hash String,
+        detected_during LowCardinality(String),
+        detected_at DateTime DEFAULT now()
+      ) ENGINE = MergeTree()
+      ORDER BY (chain_id, detected_at)
+    `,
+  });
+}
+
+// Delete every row at and above the fork block from the chain's tables
+// and write an audit entry
+export async function rollbackToBlock(clickhouse, options) {
+  const {
+    chainId,
+    tables,
+    fork,
+    orphanedHead,
+    detectedDuring,
+    log = console.log,
+  } = options;
+
+  for (const table of tables) {
+    await deleteChainRows(
+      clickhouse,
+      chainId,
+      table,
+      `block_number >= ${fork.blockNumber}`
+    );
+  }
+
+  await clickhouse.insert({
+    table: `${DATABASE}.reorg_log`,
+    values: [
+      {
+        chain_id: chainId,
+        fork_block: fork.blockNumber,
+        orphaned_head: orphanedHead,
+        depth: Math.max(0, orphanedHead - fork.blockNumber + 1),
+        orphaned_hash: fork.knownHash || "",
+        canonical_hash: fork.newHash || "",
+        detected_during: detectedDuring,
+      },
+    ],
+    format: "JSONEachRow",
+  });
+
+  log(
+    `⛓️  Reorg on chain ${chainId}: rolled back ${tables.join(", ")} to block ${
+      fork.blockNumber
+    } (head was ${orphanedHead})`
+  );
+}
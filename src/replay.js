@@ -0,0 +1,187 @@
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+
+// Offline Hypersync: a recorder that saves the responses of a stream to a
+// fixture file, and a replay client that serves those responses in place of
+// HypersyncClient. A fixture looks like:
+//
+//   { "chainId": 130, "fromBlock": 100, "toBlock": 130, "height": 130,
+//     "responses": [ <stream.recv() results, in order> ] }
+//
+// BigInts (transaction values, gas) are stored as { "$bigint": "123" }.
+
+const BIGINT_KEY = "$bigint";
+
+export function serializeFixture(fixture) {
+  return JSON.stringify(
+    fixture,
+    (key, value) =>
+      typeof value === "bigint" ? { [BIGINT_KEY]: value.toString() } : value,
+    2
+  );
+}
+
+export function parseFixture(text) {
+  return JSON.parse(text, (key, value) =>
+    value && typeof value === "object" && BIGINT_KEY in value
+      ? BigInt(value[BIGINT_KEY])
+      : value
+  );
+}
+
+export async function readFixture(file) {
+  return parseFixture(await readFile(file, "utf8"));
+}
+
+export async function writeFixture(file, fixture) {
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, serializeFixture(fixture) + "\n");
+}
+
+// Stream [query.fromBlock, query.toBlock) from a live client and return the
+// fixture of everything it received
+export async function recordStream(client, chainId, query) {
+  const height = await client.getHeight();
+  const toBlock = query.toBlock ?? height + 1;
+  const stream = await client.stream({ ...query, toBlock }, {});
+  const responses = [];
+
+  try {
+    for (;;) {
+      const res = await stream.recv();
+      if (res === null) break;
+      responses.push(res);
+    }
+  } finally {
+    await stream.close().catch(() => {});
+  }
+
+  return { chainId, fromBlock: query.fromBlock, toBlock, height, responses };
+}
+
+// Restrict a recorded response to blocks in [fromBlock, toBlock)
+function sliceResponse(res, fromBlock, toBlock) {
+  const inRange = (blockNumber) =>
+    Number(blockNumber) >= fromBlock && Number(blockNumber) < toBlock;
+  const data = {};
+  for (const [key, items] of Object.entries(res.data || {})) {
+    data[key] = items.filter((item) =>
+      inRange(key === "blocks" ? item.number : item.blockNumber)
+    );
+  }
+  return { ...res, nextBlock: Math.min(res.nextBlock, toBlock), data };
+}
+
+// Whether a log matches one of the query's log selections: the address
+// (if given) and every non-empty topic position must match, as in Hypersync
+function selectsLog(selections, log) {
+  return selections.some(
+    ({ address, topics = [] }) =>
+      (!address || address.includes(log.address)) &&
+      topics.every(
+        (allowed, i) => allowed.length === 0 || allowed.includes(log.topics[i])
+      )
+  );
+}
+
+// Serves the recorded responses overlapping the requested range, so a
+// stream can start from any block (e.g. a resume checkpoint). Logs the
+// query's selections do not match are left out, so a narrower query than
+// the recorded one (e.g. with targets) gets what Hypersync would return.
+class ReplayStream {
+  constructor(fixture, query) {
+    const fromBlock = query.fromBlock ?? 0;
+    const toBlock = query.toBlock ?? Infinity;
+    let start = fixture.fromBlock;
+
+    this.pending = [];
+    for (const res of fixture.responses) {
+      const end = res.nextBlock;
+      if (end > fromBlock && start < toBlock) {
+        const sliced = sliceResponse(res, Math.max(start, fromBlock), toBlock);
+        if (query.logs && sliced.data.logs) {
+          sliced.data.logs = sliced.data.logs.filter((log) =>
+            selectsLog(query.logs, log)
+          );
+        }
+        this.pending.push(sliced);
+      }
+      start = end;
+    }
+    this.closed = false;
+  }
+
+  async recv() {
+    if (this.closed) throw new Error("Stream is closed");
+    return this.pending.shift() ?? null;
+  }
+
+  async close() {
+    this.closed = true;
+  }
+}
+
+// Stand-in for HypersyncClient backed by a fixture. Block hashes come from
+// the recorded headers, parent hashes and rollback guards, which covers every
+// block the reorg checks ask about.
+export class ReplayClient {
+  constructor(fixture) {
+    this.fixture = fixture;
+    this.streams = []; // every stream opened, for inspection in tests
+
+    this.blocks = new Map(); // block_number -> { number, hash, timestamp }
+    const remember = (number, hash, timestamp) => {
+      if (!hash) return;
+      const known = this.blocks.get(number);
+      this.blocks.set(number, {
+        number,
+        hash,
+        timestamp: timestamp ?? known?.timestamp,
+      });
+    };
+    for (const res of fixture.responses) {
+      for (const block of res.data?.blocks || []) {
+        const number = Number(block.number);
+        remember(number, block.hash, block.timestamp);
+        if (!this.blocks.has(number - 1)) {
+          remember(number - 1, block.parentHash);
+        }
+      }
+      const guard = res.rollbackGuard;
+      if (guard) {
+        remember(guard.blockNumber, guard.hash, guard.timestamp);
+        remember(guard.firstBlockNumber - 1, guard.firstParentHash);
+      }
+    }
+  }
+
+  static async fromFile(file) {
+    return new ReplayClient(await readFixture(file));
+  }
+
+  async getHeight() {
+    return this.fixture.height;
+  }
+
+  async stream(query) {
+    const stream = new ReplayStream(this.fixture, query);
+    this.streams.push({ query: structuredClone(query), stream });
+    return stream;
+  }
+
+  // Block headers known from the recording, in one page
+  async get(query) {
+    const toBlock = Math.min(query.toBlock, this.fixture.toBlock);
+    const blocks = [...this.blocks.values()]
+      .filter(
+        (block) => block.number >= query.fromBlock && block.number < toBlock
+      )
+      .sort((a, b) => a.number - b.number);
+    return {
+      archiveHeight: this.fixture.height,
+      nextBlock: Math.max(query.fromBlock, toBlock),
+      totalExecutionTime: 0,
+      data: { blocks, transactions: [], logs: [] },
+    };
+  }
+}
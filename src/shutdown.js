@@ -0,0 +1,38 @@
+// Graceful shutdown shared by every collector in the process. The first
+// SIGINT/SIGTERM asks running collectors to stop after flushing; a second
+// one exits immediately.
+
+const running = new Set();
+let shuttingDown = false;
+
+export function isShuttingDown() {
+  return shuttingDown;
+}
+
+// Track a collector while it runs so a signal can reach it
+export function register(collector) {
+  running.add(collector);
+  if (shuttingDown) collector.stop();
+}
+
+export function unregister(collector) {
+  running.delete(collector);
+}
+
+export function installSignalHandlers() {
+  const handle = (signal) => {
+    if (shuttingDown) {
+      console.log(`\n⚠️  ${signal} received again, exiting immediately`);
+      process.exit(1);
+    }
+
+    shuttingDown = true;
+    console.log(
+      `\n🛑 ${signal} received, flushing pending data before exit (send again to force)...`
+    );
+    for (const collector of running) collector.stop();
+  };
+
+  process.on("SIGINT", handle);
+  process.on("SIGTERM", handle);
+}
@@ -0,0 +1,188 @@
+import { mkdir, readdir, readFile, rename, rm, writeFile } from "fs/promises";
+import path from "path";
+import { writeCheckpoint } from "./checkpoint.js";
+import { DATABASE } from "./config.js";
+
+// Where batches that could not be inserted are kept until they are replayed
+export const SPOOL_DIR = ".spool";
+
+// Insert attempts before a batch is spooled, and the first backoff delay
+const INSERT_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Run fn, retrying with exponential backoff (1s, 2s, 4s, ...) on failure
+export async function withRetry(fn, options = {}) {
+  const {
+    attempts = INSERT_ATTEMPTS,
+    baseDelayMs = BASE_RETRY_DELAY_MS,
+    onRetry,
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= attempts) throw error;
+      const delay = baseDelayMs * 2 ** (attempt - 1);
+      onRetry?.(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+// On-disk NDJSON spool for one chain. Each file holds one failed flush: a
+// header line with the checkpoint it covers (and the hash of the block below
+// it, if known), then one line per row.
+export class Spool {
+  constructor(chainId, eventType, baseDir = SPOOL_DIR) {
+    this.chainId = chainId;
+    this.eventType = eventType;
+    this.dir = path.join(baseDir, String(chainId));
+  }
+
+  // Spool files in the order they were written (by next block)
+  async files() {
+    let names;
+    try {
+      names = await readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+    return names
+      .filter((name) => name.endsWith(".ndjson"))
+      .sort()
+      .map((name) => path.join(this.dir, name));
+  }
+
+  async hasPending() {
+    return (await this.files()).length > 0;
+  }
+
+  // Write a batch that covers everything below nextBlock.
+  // rowsByTable maps a table name to its rows.
+  async write(nextBlock, rowsByTable, blockHash = "") {
+    await mkdir(this.dir, { recursive: true });
+
+    const header = {
+      chain_id: this.chainId,
+      event_type: this.eventType,
+      next_block: nextBlock,
+      block_hash: blockHash,
+    };
+
+    // Zero-padded so that lexical order is block order
+    const name = `${String(nextBlock).padStart(12, "0")}-${Date.now()}.ndjson`;
+    const file = path.join(this.dir, name);
+    await writeFile(file, Spool.format(header, rowsByTable));
+    return file;
+  }
+
+  static format(header, rowsByTable) {
+    const lines = [JSON.stringify(header)];
+    for (const [table, rows] of Object.entries(rowsByTable)) {
+      for (const row of rows) lines.push(JSON.stringify({ table, row }));
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  // Replace a spool file, through a temporary file so that a crash never
+  // leaves it half written
+  static async rewrite(file, header, rowsByTable) {
+    const temporary = `${file}.tmp`;
+    await writeFile(temporary, Spool.format(header, rowsByTable));
+    await rename(temporary, file);
+  }
+
+  static async read(file) {
+    const lines = (await readFile(file, "utf8")).split("\n").filter(Boolean);
+    const header = JSON.parse(lines[0]);
+    const rowsByTable = {};
+    for (const line of lines.slice(1)) {
+      const { table, row } = JSON.parse(line);
+      (rowsByTable[table] ||= []).push(row);
+    }
+    return { header, rowsByTable };
+  }
+
+  // Insert every spooled batch in order, advancing the checkpoint after each.
+  // Stops at the first batch that still fails, leaving it and later ones.
+  // Returns the last checkpoint written, or null if nothing was spooled.
+  async replay(clickhouse, log = console.log) {
+    let lastNextBlock = null;
+
+    for (const file of await this.files()) {
+      const { header, rowsByTable } = await Spool.read(file);
+
+      // Each inserted table is taken out of the file, so a replay that
+      // fails part-way never inserts it a second time
+      const remaining = { ...rowsByTable };
+      for (const [table, rows] of Object.entries(rowsByTable)) {
+        await withRetry(() =>
+          clickhouse.insert({
+            table: `${DATABASE}.${table}`,
+            values: rows,
+            format: "JSONEachRow",
+          })
+        );
+        delete remaining[table];
+        await Spool.rewrite(file, header, remaining);
+      }
+      await withRetry(() =>
+        writeCheckpoint(
+          clickhouse,
+          header.chain_id,
+          header.event_type,
+          header.next_block,
+          header.block_hash
+        )
+      );
+
+      await rm(file);
+      lastNextBlock = header.next_block;
+      log(
+        `🛟 Replayed spooled batch up to block ${
+          header.next_block
+        } (${path.basename(file)})`
+      );
+    }
+
+    return lastNextBlock;
+  }
+
+  // Drop spooled rows at and above a fork block after a reorg
+  async truncate(forkBlock) {
+    for (const file of await this.files()) {
+      const { header, rowsByTable } = await Spool.read(file);
+      const kept = {};
+      let keptCount = 0;
+      for (const [table, rows] of Object.entries(rowsByTable)) {
+        kept[table] = rows.filter((row) => row.block_number < forkBlock);
+        keptCount += kept[table].length;
+      }
+
+      await rm(file);
+      if (header.next_block <= forkBlock) {
+        await this.write(header.next_block, kept, header.block_hash);
+      } else if (keptCount > 0) {
+        await this.write(forkBlock, kept);
+      }
+    }
+  }
+}
+
+// Chain IDs that have spooled batches waiting
+export async function listSpooledChains(baseDir = SPOOL_DIR) {
+  try {
+    const entries = await readdir(baseDir, { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => Number(entry.name))
+      .filter((chainId) => Number.isInteger(chainId));
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
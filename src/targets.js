@@ -0,0 +1,201 @@
+import { readFile } from "fs/promises";
+import { pad } from "viem";
+import { DATABASE } from "./config.js";
+
+// Targeted collection: a token allowlist restricts logs to some contracts and
+// a wallet watchlist restricts them to events touching some addresses. Both
+// come from a JSON file keyed by chain ID:
+//
+//   { "8453": { "tokens": ["0x..."], "wallets": ["0x..."] } }
+//
+// When both are given, only events of listed tokens touching listed wallets
+// are collected.
+
+const ADDRESS_PATTERN = /^0x[0-9a-f]{40}$/;
+
+function normalizeAddresses(list, label) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw new Error(`${label} must be an array`);
+
+  const addresses = list.map((address) => String(address).toLowerCase());
+  const invalid = addresses.filter((address) => !ADDRESS_PATTERN.test(address));
+  if (invalid.length > 0) {
+    throw new Error(`${label} has invalid addresses: ${invalid.join(", ")}`);
+  }
+  return [...new Set(addresses)];
+}
+
+// Read the targets file into { [chainId]: { tokens, wallets } }
+export async function loadTargets(file) {
+  const parsed = JSON.parse(await readFile(file, "utf8"));
+
+  const targets = {};
+  for (const [chainId, entry] of Object.entries(parsed)) {
+    const tokens = normalizeAddresses(entry.tokens, `${chainId}.tokens`);
+    const wallets = normalizeAddresses(entry.wallets, `${chainId}.wallets`);
+    if (tokens.length === 0 && wallets.length === 0) {
+      throw new Error(`Chain ${chainId} lists no tokens or wallets`);
+    }
+    targets[Number(chainId)] = { tokens, wallets };
+  }
+  return targets;
+}
+
+// Restrict log selections to the targets. Each selection names the topic
+// positions holding wallet addresses (walletTopics), which is stripped from
+// the result since Hypersync does not know it.
+export function restrictLogSelections(selections, targets) {
+  const restricted = [];
+
+  for (const { walletTopics, ...selection } of selections) {
+    if (targets?.tokens.length > 0) {
+      const address = selection.address
+        ? selection.address.filter((a) => targets.tokens.includes(a))
+        : targets.tokens;
+      if (address.length === 0) continue;
+      selection.address = address;
+    }
+
+    if (!(targets?.wallets.length > 0)) {
+      restricted.push(selection);
+      continue;
+    }
+
+    // One selection per wallet position, since topic filters are ANDed
+    const topics = targets.wallets.map((wallet) => pad(wallet, { size: 32 }));
+    for (const position of walletTopics) {
+      const filtered = [...selection.topics];
+      while (filtered.length <= position) filtered.push([]);
+      filtered[position] = topics;
+      restricted.push({ ...selection, topics: filtered });
+    }
+  }
+
+  return restricted;
+}
+
+// Successful transactions, sent by or to a watched wallet if there are any
+export function restrictTransactionSelections(targets) {
+  if (!(targets?.wallets.length > 0)) return [{ status: 1 }];
+  return [
+    { from: targets.wallets, status: 1 },
+    { to: targets.wallets, status: 1 },
+  ];
+}
+
+// SQL condition matching the rows a set of targets covers in a table whose
+// wallet addresses are in walletColumns
+export function targetCondition(targets, walletColumns) {
+  const list = (addresses) => addresses.map((a) => `'${a}'`).join(", ");
+  const conditions = [];
+
+  if (targets.tokens.length > 0) {
+    conditions.push(`contract_address IN (${list(targets.tokens)})`);
+  }
+  if (targets.wallets.length > 0) {
+    const wallets = list(targets.wallets);
+    conditions.push(
+      `(${walletColumns
+        .map((column) => `${column} IN (${wallets})`)
+        .join(" OR ")})`
+    );
+  }
+
+  return conditions.join(" AND ");
+}
+
+// Create the table of targets seen so far, shared by all chains
+export async function initializeTrackedTargets(clickhouse) {
+  await clickhouse.command({
+    query: `
+      CREATE TABLE IF NOT EXISTS ${DATABASE}.tracked_targets (
+        chain_id UInt64,
+        kind LowCardinality(String),
+        address String,
+        backfill_to UInt64,
+        backfilled Bool,
+        updated_at DateTime64(3) DEFAULT now64(3)
+      ) ENGINE = ReplacingMergeTree(updated_at)
+      ORDER BY (chain_id, kind, address)
+    `,
+  });
+}
+
+async function readTrackedTargets(clickhouse, chainId) {
+  const result = await clickhouse.query({
+    query: `
+      SELECT kind, address,
+             argMax(backfill_to, updated_at) as backfill_to,
+             argMax(backfilled, updated_at) as backfilled
+      FROM ${DATABASE}.tracked_targets
+      WHERE chain_id = {chainId:UInt64}
+      GROUP BY kind, address
+    `,
+    query_params: { chainId },
+    format: "JSONEachRow",
+  });
+  return result.json();
+}
+
+// Record the targets of a chain and return the entries still to be
+// backfilled as [{ kind, address, backfillTo }]. New entries need their
+// history up to the current checkpoint; on the first targeted run there is
+// nothing to catch up on, since earlier runs collected everything.
+export async function syncTrackedTargets(
+  clickhouse,
+  chainId,
+  targets,
+  checkpoint
+) {
+  const known = await readTrackedTargets(clickhouse, chainId);
+  const firstRun = known.length === 0;
+  const knownKeys = new Set(known.map((row) => `${row.kind}:${row.address}`));
+
+  const added = [];
+  for (const kind of ["tokens", "wallets"]) {
+    for (const address of targets[kind]) {
+      if (knownKeys.has(`${kind}:${address}`)) continue;
+      const backfillTo = checkpoint ?? 0;
+      added.push({
+        chain_id: chainId,
+        kind,
+        address,
+        backfill_to: backfillTo,
+        backfilled: firstRun || backfillTo === 0,
+      });
+    }
+  }
+
+  if (added.length > 0) {
+    await clickhouse.insert({
+      table: `${DATABASE}.tracked_targets`,
+      values: added,
+      format: "JSONEachRow",
+    });
+  }
+
+  // Earlier entries whose backfill did not finish are picked up again
+  return [...known, ...added]
+    .filter((row) => !row.backfilled && targets[row.kind].includes(row.address))
+    .map((row) => ({
+      kind: row.kind,
+      address: row.address,
+      backfillTo: Number(row.backfill_to),
+    }));
+}
+
+export async function markTargetBackfilled(clickhouse, chainId, entry) {
+  await clickhouse.insert({
+    table: `${DATABASE}.tracked_targets`,
+    values: [
+      {
+        chain_id: chainId,
+        kind: entry.kind,
+        address: entry.address,
+        backfill_to: entry.backfillTo,
+        backfilled: true,
+      },
+    ],
+    format: "JSONEachRow",
+  });
+}
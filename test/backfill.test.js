@@ -0,0 +1,186 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  clearOpenBackfillEnd,
+  initializeBackfillChunks,
+  resolveOpenBackfillEnd,
+  runBackfill,
+  splitRange,
+} from "../src/backfill.js";
+import { ChainCollector } from "../src/collector.js";
+import { ReplayClient } from "../src/replay.js";
+import {
+  CHAIN_ID,
+  CHAIN_INFO,
+  EVENT_TABLES,
+  FIXTURE,
+  silenceLogs,
+  snapshot,
+} from "./helpers/chain.js";
+import { MemoryClickHouse } from "./helpers/memory_clickhouse.js";
+
+const CAROL = `0x${"c".repeat(40)}`;
+
+async function collectAll() {
+  const clickhouse = new MemoryClickHouse();
+  await initializeBackfillChunks(clickhouse);
+  const collector = new ChainCollector(CHAIN_ID, CHAIN_INFO, clickhouse, {
+    client: new ReplayClient(FIXTURE),
+    verbose: false,
+  });
+  await collector.initializeDatabase();
+  await collector.run();
+  return clickhouse;
+}
+
+silenceLogs();
+
+test("splits a range into chunks, the last one shorter", () => {
+  assert.deepEqual(splitRange(100, 350, 100), [
+    { fromBlock: 100, toBlock: 200 },
+    { fromBlock: 200, toBlock: 300 },
+    { fromBlock: 300, toBlock: 350 },
+  ]);
+});
+
+test("keeps the end of an open-ended backfill until it finishes", async () => {
+  const clickhouse = new MemoryClickHouse();
+  let head = 1000;
+  const resolve = () =>
+    resolveOpenBackfillEnd(clickhouse, 130, "0-head", async () => head + 1);
+
+  assert.deepEqual(await resolve(), { toBlock: 1001, stored: false });
+
+  // An interrupted run is re-run after the chain moved on
+  head = 1500;
+  assert.deepEqual(await resolve(), { toBlock: 1001, stored: true });
+
+  // Finished: the next run goes up to the new head
+  await clearOpenBackfillEnd(clickhouse, 130, "0-head");
+  assert.deepEqual(await resolve(), { toBlock: 1501, stored: false });
+});
+
+test("re-runs only the failed chunks, and everything once finished", async (t) => {
+  const expected = await collectAll();
+
+  // No waiting between insert attempts
+  t.mock.method(globalThis, "setTimeout", (callback) => callback());
+
+  // Transfers of the chunk holding block 112 fail, after its blocks went in
+  const clickhouse = new MemoryClickHouse();
+  await initializeBackfillChunks(clickhouse);
+  const insert = clickhouse.insert.bind(clickhouse);
+  let down = true;
+  t.mock.method(clickhouse, "insert", async (options) => {
+    if (
+      down &&
+      options.table.endsWith("erc20_transfers_130") &&
+      options.values.some((row) => row.block_number === 112)
+    ) {
+      throw new Error("Connection refused");
+    }
+    return insert(options);
+  });
+
+  const client = new ReplayClient(FIXTURE);
+  const backfill = (options = {}) =>
+    runBackfill(clickhouse, CHAIN_ID, CHAIN_INFO, {
+      fromBlock: 100,
+      toBlock: 130,
+      chunkSize: 10,
+      client,
+      ...options,
+    });
+  const chunks = () =>
+    clickhouse
+      .rows("backfill_chunks")
+      .map((row) => [row.backfill_id, row.chunk_from]);
+  const streamed = () => client.streams.map(({ query }) => query.fromBlock);
+
+  await assert.rejects(backfill(), /1 backfill chunk\(s\) failed/);
+  assert.deepEqual(chunks(), [
+    ["100-130", 100],
+    ["100-130", 120],
+  ]);
+
+  // Finished: the chunk records are cleared
+  down = false;
+  await backfill();
+  assert.deepEqual(chunks(), []);
+  assert.deepEqual(streamed(), [100, 110, 120, 110]);
+  assert.deepEqual(
+    snapshot(clickhouse, [...EVENT_TABLES, "blocks_130"]),
+    snapshot(expected, [...EVENT_TABLES, "blocks_130"])
+  );
+
+  // Running it again, here with transactions, re-collects the whole range
+  await backfill({ transactions: true });
+  assert.deepEqual(streamed(), [100, 110, 120, 110, 100, 110, 120]);
+  assert.ok(clickhouse.rows("transactions_130").length > 0);
+  assert.deepEqual(
+    snapshot(clickhouse, [...EVENT_TABLES, "blocks_130"]),
+    snapshot(expected, [...EVENT_TABLES, "blocks_130"])
+  );
+});
+
+test("keeps chunks of other opt-ins apart", async () => {
+  const clickhouse = new MemoryClickHouse();
+  await initializeBackfillChunks(clickhouse);
+  await clickhouse.insert({
+    table: "token_intelligence.backfill_chunks",
+    values: [
+      { chain_id: CHAIN_ID, backfill_id: "100-130", chunk_from: 100 },
+      { chain_id: CHAIN_ID, backfill_id: "100-130", chunk_from: 110 },
+      { chain_id: CHAIN_ID, backfill_id: "100-130", chunk_from: 120 },
+    ],
+  });
+
+  // Done without native transfers, so every chunk is collected with them
+  const client = new ReplayClient(FIXTURE);
+  await runBackfill(clickhouse, CHAIN_ID, CHAIN_INFO, {
+    fromBlock: 100,
+    toBlock: 130,
+    chunkSize: 10,
+    native: true,
+    client,
+  });
+
+  assert.deepEqual(
+    client.streams.map(({ query }) => query.fromBlock),
+    [100, 110, 120]
+  );
+  assert.deepEqual(
+    clickhouse.rows("backfill_chunks").map((row) => row.backfill_id),
+    ["100-130", "100-130", "100-130"]
+  );
+});
+
+test("replaces only the rows of the targets", async () => {
+  const clickhouse = await collectAll();
+  const before = snapshot(clickhouse, EVENT_TABLES);
+
+  await runBackfill(clickhouse, CHAIN_ID, CHAIN_INFO, {
+    fromBlock: 100,
+    toBlock: 130,
+    targets: { tokens: [], wallets: [CAROL] },
+    label: "wallets",
+    client: new ReplayClient(FIXTURE),
+  });
+
+  // Malformed logs are re-quarantined as duplicates that a merge collapses
+  const tokenTables = EVENT_TABLES.filter(
+    (table) => !table.startsWith("malformed")
+  );
+  const malformedKeys = (tables) =>
+    new Set(
+      tables.malformed_logs_130.map(
+        (row) => `${row.contract_address} ${row.block_number} ${row.log_index}`
+      )
+    );
+  const after = snapshot(clickhouse, EVENT_TABLES);
+  for (const table of tokenTables) {
+    assert.deepEqual(after[table], before[table]);
+  }
+  assert.deepEqual(malformedKeys(after), malformedKeys(before));
+  assert.deepEqual(clickhouse.rows("backfill_chunks"), []);
+});
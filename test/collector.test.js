@@ -0,0 +1,721 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { encodeAbiParameters, keccak256, pad, toHex } from "viem";
+import { initializeBalanceTables } from "../src/balances.js";
+import { ChainCollector } from "../src/collector.js";
+import { ReplayClient } from "../src/replay.js";
+import {
+  CHAIN_ID,
+  CHAIN_INFO,
+  EVENT_TABLES,
+  FIXTURE,
+  silenceLogs,
+  snapshot,
+} from "./helpers/chain.js";
+import { MemoryClickHouse } from "./helpers/memory_clickhouse.js";
+
+const ZERO = `0x${"0".repeat(40)}`;
+const ALICE = `0x${"a".repeat(40)}`;
+const BOB = `0x${"b".repeat(40)}`;
+const CAROL = `0x${"c".repeat(40)}`;
+const TOKEN = `0x${"1".repeat(40)}`;
+const REORGED_HASH = `0x${"f".repeat(64)}`;
+
+// block_timestamp of every block in the fixture
+const TIMESTAMPS = {
+  101: "2025-01-01 00:00:02",
+  105: "2025-01-01 00:00:10",
+  112: "2025-01-01 00:00:24",
+  118: "2025-01-01 00:00:36",
+  125: "2025-01-01 00:00:50",
+};
+
+// The fixture cut off after its first `count` responses
+function truncatedFixture(count) {
+  const responses = FIXTURE.responses.slice(0, count);
+  const end = responses[responses.length - 1].nextBlock;
+  return { ...FIXTURE, toBlock: end, height: end, responses };
+}
+
+// The fixture with block 118 replaced by one withdrawing 0.2 instead of 0.1
+// WETH. The last response's rollback guard has the new block as its parent.
+function reorgedFixture() {
+  const reorged = structuredClone(FIXTURE);
+  const [, second, third] = reorged.responses;
+  second.data.blocks[1].hash = REORGED_HASH;
+  second.data.logs[2].data = `0x${(2n * 10n ** 17n)
+    .toString(16)
+    .padStart(64, "0")}`;
+  third.rollbackGuard = {
+    ...third.rollbackGuard,
+    firstBlockNumber: 119,
+    firstParentHash: REORGED_HASH,
+  };
+  return reorged;
+}
+
+async function collect(clickhouse, fixture = FIXTURE, options = {}) {
+  const client = new ReplayClient(fixture);
+  const collector = new ChainCollector(CHAIN_ID, CHAIN_INFO, clickhouse, {
+    client,
+    verbose: false,
+    ...options,
+  });
+  await collector.initializeDatabase();
+  await collector.run();
+  return { collector, client };
+}
+
+const checkpoints = (clickhouse) =>
+  clickhouse.rows("sync_state").map((row) => row.next_block);
+
+silenceLogs();
+
+test("decodes each event type into its table", async () => {
+  const clickhouse = new MemoryClickHouse();
+  await collect(clickhouse);
+
+  const transfers = clickhouse.rows("erc20_transfers_130");
+  assert.deepEqual(
+    transfers.map((row) => [
+      row.block_number,
+      row.from_address,
+      row.to_address,
+      row.value,
+      row.source_event,
+    ]),
+    [
+      [101, ALICE, BOB, "1000", "Transfer"],
+      [112, ZERO, ALICE, "500000000000000000", "Deposit"],
+      [118, BOB, ZERO, "100000000000000000", "Withdrawal"],
+      [125, BOB, CAROL, "7", "Transfer"],
+    ]
+  );
+
+  const [approval] = clickhouse.rows("erc20_approvals_130");
+  assert.equal(approval.owner_address, ALICE);
+  assert.equal(approval.spender_address, CAROL);
+  assert.equal(approval.value, (2n ** 256n - 1n).toString());
+
+  const [nft] = clickhouse.rows("erc721_transfers_130");
+  assert.deepEqual(
+    [nft.from_address, nft.to_address, nft.token_id],
+    [ZERO, BOB, "42"]
+  );
+
+  assert.deepEqual(
+    clickhouse
+      .rows("erc1155_transfers_130")
+      .map((row) => [row.batch_index, row.token_id, row.value, row.is_batch]),
+    [
+      [0, "7", "3", false],
+      [0, "1", "10", true],
+      [1, "2", "20", true],
+    ]
+  );
+});
+
+test("quarantines logs that do not decode", async () => {
+  const clickhouse = new MemoryClickHouse();
+  const { collector } = await collect(clickhouse);
+
+  // The fixture's block 118 holds a Transfer with a truncated amount
+  const raw = FIXTURE.responses[1].data.logs[3];
+  assert.equal(collector.stats.totalEvents, 9);
+  assert.equal(collector.stats.malformedLogs, 1);
+  assert.ok(
+    !clickhouse
+      .rows("erc20_transfers_130")
+      .some((row) => row.block_number === 118 && row.log_index === 5)
+  );
+  assert.deepEqual(clickhouse.rows("malformed_logs_130"), [
+    {
+      block_number: 118,
+      block_timestamp: TIMESTAMPS[118],
+      log_index: 5,
+      transaction_hash: raw.transactionHash,
+      contract_address: raw.address,
+      topics: raw.topics.filter(Boolean),
+      data: "0x1234",
+      reason: "undecodable",
+    },
+  ]);
+});
+
+test("skips ERC721 approvals instead of quarantining them", async () => {
+  const collector = new ChainCollector(
+    CHAIN_ID,
+    CHAIN_INFO,
+    new MemoryClickHouse(),
+    { client: new ReplayClient(FIXTURE), verbose: false }
+  );
+  const res = structuredClone(FIXTURE.responses[0]);
+  const [log] = res.data.logs;
+  res.data.logs = [
+    {
+      ...log,
+      topics: [
+        keccak256(toHex("Approval(address,address,uint256)")),
+        pad(ALICE),
+        pad(CAROL),
+        pad(toHex(42n)),
+      ],
+      data: "0x",
+    },
+  ];
+
+  await collector.processLogs(res);
+
+  assert.deepEqual(collector.batches.malformed_logs_130, []);
+  assert.deepEqual(collector.batches.erc20_approvals_130, []);
+});
+
+test("quarantines a TransferBatch whose ids and values differ", async () => {
+  const collector = new ChainCollector(
+    CHAIN_ID,
+    CHAIN_INFO,
+    new MemoryClickHouse(),
+    { client: new ReplayClient(FIXTURE), verbose: false }
+  );
+  const res = structuredClone(FIXTURE.responses[1]);
+  const batch = res.data.logs[0];
+  // ids [1, 2] with a single value
+  batch.data = encodeAbiParameters(
+    [{ type: "uint256[]" }, { type: "uint256[]" }],
+    [[1n, 2n], [10n]]
+  );
+  res.data.logs = [batch];
+
+  await collector.processLogs(res);
+
+  assert.deepEqual(collector.batches.erc1155_transfers_130, []);
+  assert.deepEqual(
+    collector.batches.malformed_logs_130.map((row) => row.reason),
+    ["batch_length_mismatch"]
+  );
+});
+
+test("maps every row to the timestamp of its own block", async () => {
+  const clickhouse = new MemoryClickHouse();
+  await collect(clickhouse);
+
+  for (const table of EVENT_TABLES) {
+    for (const row of clickhouse.rows(table)) {
+      assert.equal(
+        row.block_timestamp,
+        TIMESTAMPS[row.block_number],
+        `${table} block ${row.block_number}`
+      );
+    }
+  }
+
+  const blocks = clickhouse.rows("blocks_130");
+  assert.deepEqual(
+    blocks.map((row) => [row.block_number, row.block_timestamp]),
+    Object.entries(TIMESTAMPS).map(([number, ts]) => [Number(number), ts])
+  );
+});
+
+test("refuses logs whose block header is missing", async () => {
+  const collector = new ChainCollector(
+    CHAIN_ID,
+    CHAIN_INFO,
+    new MemoryClickHouse(),
+    { client: new ReplayClient(FIXTURE), verbose: false }
+  );
+  const [res] = FIXTURE.responses;
+
+  await assert.rejects(
+    collector.processLogs({ ...res, data: { ...res.data, blocks: [] } }),
+    /Missing block header/
+  );
+});
+
+test("flushes whole responses once the batch size is reached", async () => {
+  const clickhouse = new MemoryClickHouse();
+  await collect(clickhouse, FIXTURE, { batchSize: 2 });
+
+  // The first two responses fill a batch each, the last one is flushed at
+  // the end of the stream
+  assert.deepEqual(checkpoints(clickhouse), [110, 120, 130]);
+  assert.deepEqual(
+    clickhouse.inserts
+      .filter(({ table }) => table === "blocks_130")
+      .map(({ rows }) => rows.map((row) => row.block_number)),
+    [[101, 105], [112, 118], [125]]
+  );
+});
+
+test("inserts everything in one batch below the batch size", async () => {
+  const clickhouse = new MemoryClickHouse();
+  await collect(clickhouse, FIXTURE, { batchSize: 1000 });
+
+  assert.deepEqual(checkpoints(clickhouse), [130]);
+  assert.equal(
+    clickhouse.inserts.filter(({ table }) => table === "erc20_transfers_130")
+      .length,
+    1
+  );
+});
+
+test("resumes from the checkpoint without duplicating rows", async () => {
+  const expected = new MemoryClickHouse();
+  await collect(expected);
+
+  const clickhouse = new MemoryClickHouse();
+  await collect(clickhouse, truncatedFixture(2));
+  assert.deepEqual(checkpoints(clickhouse), [120]);
+
+  const { client } = await collect(clickhouse);
+  assert.equal(client.streams[0].query.fromBlock, 120);
+  assert.deepEqual(checkpoints(clickhouse), [120, 130]);
+  assert.deepEqual(
+    snapshot(clickhouse, [...EVENT_TABLES, "blocks_130"]),
+    snapshot(expected, [...EVENT_TABLES, "blocks_130"])
+  );
+});
+
+test("drops rows written after the last checkpoint on resume", async () => {
+  const clickhouse = new MemoryClickHouse();
+  await collect(clickhouse, truncatedFixture(2));
+
+  // A run that stopped between inserting block 125 and checkpointing it
+  const full = new MemoryClickHouse();
+  await collect(full);
+  for (const table of ["erc20_transfers_130", "blocks_130"]) {
+    const stray = full.rows(table).filter((row) => row.block_number === 125);
+    await clickhouse.insert({ table: `db.${table}`, values: stray });
+  }
+
+  await collect(clickhouse);
+
+  assert.equal(
+    clickhouse
+      .rows("erc20_transfers_130")
+      .filter((row) => row.block_number === 125).length,
+    1
+  );
+});
+
+test("rolls back blocks that are no longer canonical on resume", async () => {
+  const clickhouse = new MemoryClickHouse();
+  await collect(clickhouse);
+
+  // Block 118 was replaced by one with a larger withdrawal
+  const reorged = reorgedFixture();
+
+  const { client } = await collect(clickhouse, reorged);
+
+  const [reorg] = clickhouse.rows("reorg_log");
+  assert.equal(reorg.fork_block, 118);
+  assert.equal(reorg.detected_during, "resume");
+  assert.equal(client.streams[0].query.fromBlock, 118);
+  assert.deepEqual(
+    clickhouse
+      .rows("erc20_transfers_130")
+      .filter((row) => row.source_event === "Withdrawal")
+      .map((row) => row.value),
+    ["200000000000000000"]
+  );
+  assert.equal(
+    clickhouse.rows("blocks_130").find((row) => row.block_number === 118)
+      .block_hash,
+    REORGED_HASH
+  );
+});
+
+test("leaves blocks the archive does not have yet alone on resume", async () => {
+  const clickhouse = new MemoryClickHouse();
+  await collect(clickhouse);
+  const stored = snapshot(clickhouse, EVENT_TABLES);
+
+  // The archive served on resume is behind the blocks already stored
+  const lagging = {
+    ...FIXTURE,
+    toBlock: 120,
+    height: 120,
+    responses: FIXTURE.responses.slice(0, 2),
+  };
+  await collect(clickhouse, lagging);
+
+  assert.deepEqual(clickhouse.rows("reorg_log"), []);
+  assert.deepEqual(snapshot(clickhouse, EVENT_TABLES), stored);
+  assert.deepEqual(checkpoints(clickhouse), [130]);
+});
+
+test("rolls back a head that changed while the collector was down", async () => {
+  const clickhouse = new MemoryClickHouse();
+  await collect(clickhouse);
+
+  // Blocks 126-129 had no events, so only the checkpoint knew block 129.
+  // In the new chain a transfer landed in block 127.
+  const reorged = structuredClone(FIXTURE);
+  const third = reorged.responses[2];
+  third.rollbackGuard.hash = REORGED_HASH;
+  third.data.blocks.push({
+    number: 127,
+    hash: `0x${"7".repeat(64)}`,
+    parentHash: `0x${"6".repeat(64)}`,
+    timestamp: 1735689654,
+  });
+  third.data.logs.push({
+    blockNumber: 127,
+    logIndex: 0,
+    transactionHash: `0x${"e".repeat(64)}`,
+    data: encodeAbiParameters([{ type: "uint256" }], [9n]),
+    address: TOKEN,
+    topics: [
+      keccak256(toHex("Transfer(address,address,uint256)")),
+      pad(CAROL),
+      pad(ALICE),
+      null,
+    ],
+  });
+
+  const { client } = await collect(clickhouse, reorged, {
+    prefix: "[Unichain]",
+  });
+
+  const [reorg] = clickhouse.rows("reorg_log");
+  assert.equal(reorg.fork_block, 126);
+  assert.ok(
+    console.log.mock.calls.some(
+      ({ arguments: [prefix, line] }) =>
+        prefix === "[Unichain]" && line.startsWith("⛓️  Reorg on chain 130")
+    )
+  );
+  assert.equal(reorg.detected_during, "resume");
+  assert.equal(client.streams[0].query.fromBlock, 126);
+  assert.deepEqual(
+    clickhouse
+      .rows("erc20_transfers_130")
+      .filter((row) => row.block_number === 127)
+      .map((row) => [row.from_address, row.to_address, row.value]),
+    [[CAROL, ALICE, "9"]]
+  );
+  assert.deepEqual(
+    clickhouse
+      .rows("sync_state")
+      .map((row) => [row.next_block, row.block_hash]),
+    [
+      [130, FIXTURE.responses[2].rollbackGuard.hash],
+      [
+        126,
+        clickhouse.rows("blocks_130").find((row) => row.block_number === 125)
+          .block_hash,
+      ],
+      [130, REORGED_HASH],
+    ]
+  );
+});
+
+test("rolls back and re-streams when the chain reorganizes mid-stream", async (t) => {
+  const expected = new MemoryClickHouse();
+  await collect(expected, reorgedFixture());
+
+  // The first stream still served the old block 118 before the reorg
+  const reorged = reorgedFixture();
+  const stale = {
+    ...reorged,
+    responses: [...FIXTURE.responses.slice(0, 2), reorged.responses[2]],
+  };
+  const client = new ReplayClient(reorged);
+  t.mock
+    .method(client, "stream")
+    .mock.mockImplementationOnce((query) =>
+      new ReplayClient(stale).stream(query)
+    );
+
+  const clickhouse = new MemoryClickHouse();
+  await collect(clickhouse, reorged, { client, batchSize: 2 });
+
+  const [reorg] = clickhouse.rows("reorg_log");
+  assert.equal(reorg.fork_block, 118);
+  assert.equal(reorg.detected_during, "stream");
+  assert.equal(client.streams[0].query.fromBlock, 118);
+  assert.deepEqual(checkpoints(clickhouse), [110, 120, 118, 120, 130]);
+  assert.deepEqual(
+    snapshot(clickhouse, EVENT_TABLES),
+    snapshot(expected, EVENT_TABLES)
+  );
+});
+
+test("spools batches that cannot be inserted and replays them first", async (t) => {
+  const expected = new MemoryClickHouse();
+  await collect(expected);
+
+  // No waiting between insert attempts
+  t.mock.method(globalThis, "setTimeout", (callback) => callback());
+  const spoolDir = await mkdtemp(path.join(tmpdir(), "spool-"));
+  t.after(() => rm(spoolDir, { recursive: true }));
+
+  const clickhouse = new MemoryClickHouse();
+  const insert = clickhouse.insert.bind(clickhouse);
+  let down = true;
+  t.mock.method(clickhouse, "insert", async (options) => {
+    if (down && options.table.endsWith("erc20_transfers_130")) {
+      throw new Error("Connection refused");
+    }
+    return insert(options);
+  });
+
+  const { collector } = await collect(clickhouse, truncatedFixture(2), {
+    batchSize: 2,
+    spoolDir,
+  });
+  assert.equal((await collector.spool.files()).length, 2);
+  assert.deepEqual(checkpoints(clickhouse), []);
+
+  down = false;
+  const { client } = await collect(clickhouse, FIXTURE, { spoolDir });
+  assert.equal(client.streams[0].query.fromBlock, 120);
+  assert.deepEqual(checkpoints(clickhouse), [110, 120, 130]);
+  assert.deepEqual(
+    snapshot(clickhouse, [...EVENT_TABLES, "blocks_130"]),
+    snapshot(expected, [...EVENT_TABLES, "blocks_130"])
+  );
+});
+
+test("collects only the events of listed tokens and watched wallets", async () => {
+  const full = new MemoryClickHouse();
+  const { collector } = await collect(full);
+
+  const cases = [
+    [{ tokens: [TOKEN], wallets: [] }, (row) => row.contract_address === TOKEN],
+    [
+      { tokens: [], wallets: [CAROL] },
+      (row, columns) => columns.some((column) => row[column] === CAROL),
+    ],
+  ];
+  for (const [targets, selected] of cases) {
+    const clickhouse = new MemoryClickHouse();
+    await collect(clickhouse, FIXTURE, { targets });
+
+    let collected = 0;
+    for (const [table, columns] of Object.entries(collector.walletColumns)) {
+      const rows = snapshot(clickhouse, [table])[table];
+      assert.deepEqual(
+        rows,
+        snapshot(full, [table])[table].filter((row) => selected(row, columns))
+      );
+      collected += rows.length;
+    }
+    assert.ok(collected > 0);
+  }
+});
+
+// Non-zero balance per "contract holder", as SUM(balance) ... GROUP BY
+const sumBalances = (deltas) => {
+  const sums = new Map();
+  for (const { contract_address, holder_address, balance } of deltas) {
+    const key = `${contract_address} ${holder_address}`;
+    sums.set(key, (sums.get(key) ?? 0n) + BigInt(balance));
+  }
+  return new Map([...sums].filter(([, sum]) => sum !== 0n));
+};
+
+const balancesOfTransfers = (transfers) =>
+  sumBalances(
+    transfers.flatMap((row) => [
+      { ...row, holder_address: row.from_address, balance: `-${row.value}` },
+      { ...row, holder_address: row.to_address, balance: row.value },
+    ])
+  );
+
+test("keeps holder balances in step with transfers across a reorg", async () => {
+  const clickhouse = new MemoryClickHouse();
+  await collect(clickhouse, truncatedFixture(2));
+
+  // Transfers stored before the balances were set up are summed in once
+  await initializeBalanceTables(clickhouse, CHAIN_ID);
+  await initializeBalanceTables(clickhouse, CHAIN_ID);
+
+  // Block 118 was replaced by one with a larger withdrawal
+  const reorged = reorgedFixture();
+  await collect(clickhouse, reorged);
+
+  assert.equal(clickhouse.rows("reorg_log").length, 1);
+  const balances = sumBalances(clickhouse.rows("erc20_balances_130"));
+  assert.deepEqual(
+    balances,
+    balancesOfTransfers(clickhouse.rows("erc20_transfers_130"))
+  );
+  // Only the replacing withdrawal counts; the fixture never sends Bob WETH
+  assert.equal(
+    balances.get(`${CHAIN_INFO.wrappedNative} ${BOB}`),
+    -(2n * 10n ** 17n)
+  );
+});
+
+test("rebuilds balances whose first fill was interrupted", async () => {
+  const clickhouse = new MemoryClickHouse();
+  await collect(clickhouse);
+
+  // The view was created, but the fill stopped before it was marked done
+  await initializeBalanceTables(clickhouse, CHAIN_ID);
+  clickhouse.tables.set(
+    "sync_state",
+    clickhouse
+      .rows("sync_state")
+      .filter((row) => row.event_type !== "erc20_balances")
+  );
+  await initializeBalanceTables(clickhouse, CHAIN_ID);
+
+  assert.deepEqual(
+    sumBalances(clickhouse.rows("erc20_balances_130")),
+    balancesOfTransfers(clickhouse.rows("erc20_transfers_130"))
+  );
+});
+
+test("collects the transactions behind events when enabled", async () => {
+  const clickhouse = new MemoryClickHouse();
+  await collect(clickhouse, FIXTURE, { transactions: true });
+
+  // Every transaction behind a log, but not the plain value transfer
+  const transactions = clickhouse.rows("transactions_130");
+  assert.equal(transactions.length, 9);
+  assert.ok(transactions.every((row) => row.value !== "1000000000000000000"));
+  assert.deepEqual(clickhouse.rows("native_transfers_130"), []);
+});
+
+test("collects native value transfers when enabled", async () => {
+  const clickhouse = new MemoryClickHouse();
+  await collect(clickhouse, FIXTURE, { native: true });
+
+  assert.deepEqual(
+    clickhouse
+      .rows("native_transfers_130")
+      .map((row) => [
+        row.block_number,
+        row.from_address,
+        row.to_address,
+        row.value,
+      ]),
+    [
+      [105, ALICE, BOB, "1000000000000000000"],
+      // Wrapping sends the deposited ETH to the WETH contract
+      [112, ALICE, CHAIN_INFO.wrappedNative, "500000000000000000"],
+    ]
+  );
+});
+
+test("scales transfer values by the decimals of their token", async (t) => {
+  const clickhouse = new MemoryClickHouse();
+  const command = t.mock.method(clickhouse, "command");
+  await collect(clickhouse);
+
+  const sql = command.mock.calls
+    .map((call) => call.arguments[0].query.replace(/\s+/g, " ").trim())
+    .find((query) => query.includes("erc20_transfers_normalized_130 AS"));
+  assert.match(
+    sql,
+    /^CREATE OR REPLACE VIEW token_intelligence\.erc20_transfers_normalized_130 AS /
+  );
+  assert.match(sql, /FROM token_intelligence\.erc20_transfers_130 AS t /);
+
+  // The latest decimals of the token on this chain
+  assert.match(
+    sql,
+    /FROM token_intelligence\.token_metadata FINAL WHERE chain_id = 130 \) AS m ON t\.contract_address = m\.contract_address$/
+  );
+
+  // Unknown decimals give NULL amounts, not values scaled by 10^0
+  assert.match(sql, / if\(m\.known, m\.decimals, NULL\) AS decimals,/);
+  assert.match(
+    sql,
+    / if\(m\.known, toFloat64\(t\.value\) \/ pow\(10, m\.decimals\), NULL\) AS amount /
+  );
+});
+
+test("stores DEX pool events as net amounts into the pool, dropping others", async () => {
+  const collector = new ChainCollector(
+    CHAIN_ID,
+    CHAIN_INFO,
+    new MemoryClickHouse(),
+    { client: new ReplayClient(FIXTURE), verbose: false, prices: true }
+  );
+  const POOL = `0x${"d".repeat(40)}`;
+  const topic = (signature) => keccak256(toHex(signature));
+  const log = (logIndex, topics, types, values) => ({
+    blockNumber: 101,
+    logIndex,
+    transactionHash: `0x${"e".repeat(64)}`,
+    data: encodeAbiParameters(
+      types.map((type) => ({ type })),
+      values
+    ),
+    address: POOL,
+    topics: [...topics, null, null, null].slice(0, 4),
+  });
+  const [res] = FIXTURE.responses;
+
+  await collector.processLogs({
+    ...res,
+    data: {
+      ...res.data,
+      logs: [
+        log(
+          0,
+          [topic("Sync(uint112,uint112)")],
+          ["uint112", "uint112"],
+          [5000n, 10n]
+        ),
+        log(
+          1,
+          [
+            topic("Swap(address,uint256,uint256,uint256,uint256,address)"),
+            pad(ALICE),
+            pad(BOB),
+          ],
+          ["uint256", "uint256", "uint256", "uint256"],
+          [100n, 0n, 0n, 2n]
+        ),
+        log(
+          2,
+          [
+            topic("Swap(address,address,int256,int256,uint160,uint128,int24)"),
+            pad(ALICE),
+            pad(CAROL),
+          ],
+          ["int256", "int256", "uint160", "uint128", "int24"],
+          [-7n, 3n, 2n ** 96n, 1000n, -887n]
+        ),
+        // Not a pool: the Swap signature without its indexed addresses
+        log(
+          3,
+          [topic("Swap(address,uint256,uint256,uint256,uint256,address)")],
+          ["uint256"],
+          [1n]
+        ),
+      ],
+    },
+  });
+
+  assert.deepEqual(
+    collector.batches.dex_syncs_130.map((row) => [
+      row.pool_address,
+      row.reserve0,
+      row.reserve1,
+    ]),
+    [[POOL, "5000", "10"]]
+  );
+  assert.deepEqual(
+    collector.batches.dex_swaps_130.map((row) => [
+      row.protocol,
+      row.sender_address,
+      row.recipient_address,
+      row.amount0,
+      row.amount1,
+      row.sqrt_price_x96,
+      row.tick,
+    ]),
+    [
+      ["uniswap_v2", ALICE, BOB, "100", "-2", "0", 0],
+      ["uniswap_v3", ALICE, CAROL, "-7", "3", (2n ** 96n).toString(), -887],
+    ]
+  );
+  assert.deepEqual(collector.batches.malformed_logs_130, []);
+});
@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { loadConfig } from "../src/config.js";
+
+async function configFile(t, content) {
+  const dir = await mkdtemp(path.join(tmpdir(), "config-"));
+  t.after(() => rm(dir, { recursive: true }));
+  const file = path.join(dir, "config.json");
+  await writeFile(
+    file,
+    typeof content === "string" ? content : JSON.stringify(content)
+  );
+  return file;
+}
+
+test("merges the file over the defaults", async (t) => {
+  const file = await configFile(t, {
+    chains: {
+      130: { rpcUrl: "https://rpc.unichain.example" },
+      999: { name: "Testnet", wrappedNative: `0x${"AB".repeat(20)}` },
+    },
+    hypersync: { bearerToken: "token" },
+    clickhouse: { database: "analytics" },
+    batchSizes: { insert: 500 },
+  });
+  const config = loadConfig(file, {});
+
+  assert.equal(config.clickhouse.database, "analytics");
+  assert.equal(config.clickhouse.url, "http://localhost:8123");
+  assert.equal(config.batchSizes.insert, 500);
+  assert.equal(config.batchSizes.rpc, 100);
+  assert.deepEqual(config.chains[130], {
+    name: "Unichain",
+    hypersyncUrl: "http://130.hypersync.xyz",
+    hypersyncToken: "token",
+    rpcUrl: "https://rpc.unichain.example",
+    wrappedNative: "0x4200000000000000000000000000000000000006",
+  });
+
+  // A new chain only needs a name
+  assert.deepEqual(config.chains[999], {
+    name: "Testnet",
+    hypersyncUrl: "http://999.hypersync.xyz",
+    hypersyncToken: "token",
+    rpcUrl: undefined,
+    wrappedNative: `0x${"ab".repeat(20)}`,
+  });
+});
+
+test("lets environment variables override the file", async (t) => {
+  const file = await configFile(t, {
+    clickhouse: { database: "analytics", password: "file" },
+    batchSizes: { insert: 500 },
+  });
+  const config = loadConfig(undefined, {
+    TI_CONFIG: file,
+    CLICKHOUSE_DATABASE: "staging",
+    CLICKHOUSE_PASSWORD: "",
+    INSERT_BATCH_SIZE: "2000",
+    RPC_URL_130: "https://rpc.env.example",
+    CLICKHOUSE_TLS_CA_CERT: "ca.pem",
+  });
+
+  assert.equal(config.clickhouse.database, "staging");
+  // Empty variables are ignored
+  assert.equal(config.clickhouse.password, "file");
+  assert.equal(config.batchSizes.insert, 2000);
+  assert.equal(config.chains[130].rpcUrl, "https://rpc.env.example");
+  assert.deepEqual(config.clickhouse.tls, {
+    caCert: "ca.pem",
+    cert: undefined,
+    key: undefined,
+  });
+});
+
+test("throws on an invalid config instead of exiting", async (t) => {
+  const invalid = async (content, env = {}) =>
+    loadConfig(await configFile(t, content), env);
+
+  assert.throws(
+    () => loadConfig(path.join(tmpdir(), "missing-config.json"), {}),
+    /Config file .* not found/
+  );
+  await assert.rejects(invalid("{ chains:"), /Invalid config file/);
+  await assert.rejects(
+    invalid({ chains: { 999: { hypersyncUrl: "http://999.example" } } }),
+    /Chain 999 has no name/
+  );
+  await assert.rejects(
+    invalid({ batchSizes: { rpc: 0 } }),
+    /batchSizes\.rpc must be a positive integer/
+  );
+  await assert.rejects(
+    invalid({}, { INSERT_BATCH_SIZE: "many" }),
+    /batchSizes\.insert must be a positive integer/
+  );
+  await assert.rejects(
+    invalid({ pricing: { interval: "day" } }),
+    /pricing\.interval must be minute or hour/
+  );
+  await assert.rejects(
+    invalid({}, { CLICKHOUSE_DATABASE: "analytics; DROP" }),
+    /Invalid ClickHouse database name/
+  );
+});
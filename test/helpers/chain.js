@@ -0,0 +1,47 @@
+import { beforeEach, mock } from "node:test";
+import { readFixture } from "../../src/replay.js";
+
+// The recorded chain the collector and backfill tests run against
+
+export const FIXTURE = await readFixture(
+  "test/fixtures/synthetic_130_100-129.json"
+);
+
+// Set inline so a local config file cannot change what the tests expect
+export const CHAIN_ID = 130;
+export const CHAIN_INFO = {
+  name: "Unichain",
+  hypersyncUrl: "http://130.hypersync.xyz",
+  wrappedNative: "0x4200000000000000000000000000000000000006",
+};
+
+export const EVENT_TABLES = [
+  "erc20_transfers_130",
+  "erc20_approvals_130",
+  "erc721_transfers_130",
+  "erc1155_transfers_130",
+  "malformed_logs_130",
+];
+
+// Stored rows in a stable order, without the insert time
+export const snapshot = (clickhouse, tables) =>
+  Object.fromEntries(
+    tables.map((table) => [
+      table,
+      [...clickhouse.rows(table)]
+        .map(({ db_write_timestamp, ...row }) => row)
+        .sort(
+          (a, b) =>
+            a.block_number - b.block_number ||
+            (a.log_index ?? 0) - (b.log_index ?? 0) ||
+            (a.batch_index ?? 0) - (b.batch_index ?? 0)
+        ),
+    ])
+  );
+
+// Keep the collectors' progress lines out of the test output
+export function silenceLogs() {
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+  });
+}
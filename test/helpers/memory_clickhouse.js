@@ -0,0 +1,331 @@
+// In-memory stand-in for the ClickHouse client. It keeps inserted rows per
+// table and answers the handful of queries the collector issues; anything
+// else throws so an unsupported query never passes silently.
+
+const tableName = (qualified) => qualified.split(".").pop();
+
+// Rows of a block range, as in the DELETE and INSERT ... SELECT conditions
+const inRange = (row, from, to) =>
+  row.block_number >= Number(from) &&
+  (to === undefined || row.block_number < Number(to));
+
+// Target scope of a DELETE (targetCondition): ANDed `column IN ('a', ...)`
+// lists, the wallet columns ORed in parentheses
+const inScope = (row, scope) =>
+  scope.split(" AND ").every((condition) =>
+    condition
+      .replace(/^\((.*)\)$/, "$1")
+      .split(" OR ")
+      .some((list) => {
+        const [, column, values] = list.match(/^(\w+) IN \((.*)\)$/);
+        return values.split(", ").includes(`'${row[column]}'`);
+      })
+  );
+
+// Balance deltas of transfer rows (the erc20_balances_{chainId} view),
+// negated to take them back out
+const balanceDeltas = (rows, sign = 1n) =>
+  rows.flatMap((row) =>
+    [
+      [row.from_address, -BigInt(row.value)],
+      [row.to_address, BigInt(row.value)],
+    ].map(([holder_address, delta]) => ({
+      contract_address: row.contract_address,
+      holder_address,
+      balance: (delta * sign).toString(),
+    }))
+  );
+
+export class MemoryClickHouse {
+  constructor() {
+    this.tables = new Map(); // table -> rows
+    this.inserts = []; // { table, rows } per insert call, in order
+    this.commands = [];
+    this.views = new Map(); // source table -> { name, target } of a materialized view
+  }
+
+  rows(table) {
+    return this.tables.get(table) || [];
+  }
+
+  async command({ query, query_params: params = {} }) {
+    const sql = query.trim().replace(/\s+/g, " ");
+    this.commands.push(sql);
+
+    const create = sql.match(/^CREATE TABLE IF NOT EXISTS (\S+)/);
+    if (create) {
+      const table = tableName(create[1]);
+      if (!this.tables.has(table)) this.tables.set(table, []);
+      return;
+    }
+    if (/^(CREATE DATABASE|CREATE OR REPLACE VIEW|ALTER TABLE)/.test(sql))
+      return;
+
+    const view = sql.match(
+      /^CREATE MATERIALIZED VIEW (?:IF NOT EXISTS )?(\S+) TO (\S+) AS .* FROM (\S+) ARRAY JOIN/
+    );
+    if (view) {
+      const [, name, target, source] = view.map(tableName);
+      this.views.set(source, { name, target });
+      return;
+    }
+
+    // clearCompletedChunks
+    if (/^DELETE FROM \S+\.backfill_chunks WHERE/.test(sql)) {
+      this.tables.set(
+        "backfill_chunks",
+        this.rows("backfill_chunks").filter(
+          (row) =>
+            row.chain_id !== params.chainId ||
+            row.backfill_id !== params.backfillId
+        )
+      );
+      return;
+    }
+
+    // clearOpenBackfillEnd
+    if (/^DELETE FROM \S+\.backfill_ends WHERE/.test(sql)) {
+      this.tables.set(
+        "backfill_ends",
+        this.rows("backfill_ends").filter(
+          (row) =>
+            row.chain_id !== params.chainId || row.range_key !== params.rangeKey
+        )
+      );
+      return;
+    }
+
+    const drop = sql.match(/^DROP VIEW IF EXISTS (\S+)$/);
+    if (drop) {
+      for (const [source, { name }] of this.views) {
+        if (name === tableName(drop[1])) this.views.delete(source);
+      }
+      return;
+    }
+
+    const truncate = sql.match(/^TRUNCATE TABLE (\S+)$/);
+    if (truncate) {
+      this.tables.set(tableName(truncate[1]), []);
+      return;
+    }
+
+    // Balance deltas summed in (or, swapped, taken out) from transfers
+    const deltas = sql.match(
+      /^INSERT INTO (\S+) SELECT contract_address, holder_address, balance FROM (\S+) ARRAY JOIN \[from_address, to_address\] AS holder_address, \[(-?)toInt256\(value\), -?toInt256\(value\)\] AS balance(?: WHERE block_number >= (\d+)(?: AND block_number < (\d+))?)?$/
+    );
+    if (deltas) {
+      const [, target, source, sent, from, to] = deltas;
+      const rows = this.rows(tableName(source)).filter(
+        (row) => from === undefined || inRange(row, from, to)
+      );
+      const table = tableName(target);
+      this.tables.set(table, [
+        ...this.rows(table),
+        ...balanceDeltas(rows, sent ? 1n : -1n),
+      ]);
+      return;
+    }
+
+    const del = sql.match(
+      /^DELETE FROM (\S+) WHERE block_number >= (\d+)(?: AND block_number < (\d+))?(?: AND (.*))?$/
+    );
+    if (del) {
+      const [, qualified, from, to, scope] = del;
+      const table = tableName(qualified);
+      this.tables.set(
+        table,
+        this.rows(table).filter(
+          (row) =>
+            !(
+              inRange(row, from, to) &&
+              (scope === undefined || inScope(row, scope))
+            )
+        )
+      );
+      return;
+    }
+
+    throw new Error(`MemoryClickHouse does not support command: ${sql}`);
+  }
+
+  async insert({ table, values }) {
+    const name = tableName(table);
+    const rows = values.map((row) => ({ ...row }));
+    this.inserts.push({ table: name, rows });
+    this.tables.set(name, [...this.rows(name), ...rows]);
+
+    const view = this.views.get(name);
+    if (view) {
+      this.tables.set(view.target, [
+        ...this.rows(view.target),
+        ...balanceDeltas(rows),
+      ]);
+    }
+  }
+
+  async query({ query, query_params: params = {} }) {
+    const sql = query.trim().replace(/\s+/g, " ");
+    const result = (rows) => ({ json: async () => rows });
+    const blockNumbers = (table) =>
+      this.rows(table).map((row) => row.block_number);
+
+    // readCheckpoint(Head): latest next_block and block_hash, no row when
+    // there is none
+    if (/FROM \S+\.sync_state/.test(sql)) {
+      const rows = this.rows("sync_state").filter(
+        (row) =>
+          row.chain_id === params.chainId && row.event_type === params.eventType
+      );
+      const latest = rows[rows.length - 1];
+      return result(
+        latest
+          ? [
+              {
+                next_block: latest.next_block,
+                block_hash: latest.block_hash ?? "",
+              },
+            ]
+          : []
+      );
+    }
+
+    // resolveOpenBackfillEnd: the first end stored for a range
+    if (/FROM \S+\.backfill_ends/.test(sql)) {
+      const row = this.rows("backfill_ends").find(
+        (row) =>
+          row.chain_id === params.chainId && row.range_key === params.rangeKey
+      );
+      return result(row ? [{ to_block: String(row.to_block) }] : []);
+    }
+
+    // getCompletedChunks
+    if (/^SELECT DISTINCT chunk_from FROM \S+\.backfill_chunks/.test(sql)) {
+      const chunks = this.rows("backfill_chunks")
+        .filter(
+          (row) =>
+            row.chain_id === params.chainId &&
+            row.backfill_id === params.backfillId
+        )
+        .map((row) => row.chunk_from);
+      return result([...new Set(chunks)].map((chunk_from) => ({ chunk_from })));
+    }
+
+    // Latest failed resolver attempt per contract (FINAL)
+    const latestFailures = () => {
+      const latest = new Map();
+      for (const row of this.rows("token_metadata_failures")) {
+        if (row.chain_id === params.chainId) {
+          latest.set(row.contract_address, row);
+        }
+      }
+      return latest;
+    };
+
+    // recordMetadataFailures: attempts so far
+    if (
+      /^SELECT contract_address, attempts FROM \S+\.token_metadata_failures/.test(
+        sql
+      )
+    ) {
+      const latest = latestFailures();
+      return result(
+        params.addresses
+          .filter((address) => latest.has(address))
+          .map((address) => ({
+            contract_address: address,
+            attempts: latest.get(address).attempts,
+          }))
+      );
+    }
+
+    // findMissingMetadata: contracts by transfers, without metadata or a
+    // failure still waiting for its retry time
+    const missing = sql.match(
+      /^SELECT contract_address, count\(\) AS transfers FROM (\S+) WHERE contract_address NOT IN/
+    );
+    if (missing) {
+      const now = new Date().toISOString().slice(0, 19).replace("T", " ");
+      const known = new Set(
+        this.rows("token_metadata")
+          .filter((row) => row.chain_id === params.chainId)
+          .map((row) => row.contract_address)
+      );
+      for (const [address, row] of latestFailures()) {
+        if (row.retry_after > now) known.add(address);
+      }
+      const counts = new Map();
+      for (const { contract_address } of this.rows(tableName(missing[1]))) {
+        if (known.has(contract_address)) continue;
+        counts.set(contract_address, (counts.get(contract_address) ?? 0) + 1);
+      }
+      return result(
+        [...counts]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, params.limit)
+          .map(([contract_address, transfers]) => ({
+            contract_address,
+            transfers,
+          }))
+      );
+    }
+
+    // tableEngine: plain views are not kept
+    if (/^SELECT engine FROM system\.tables/.test(sql)) {
+      const views = [...this.views.values()].map(({ name }) => name);
+      if (views.includes(params.table)) {
+        return result([{ engine: "MaterializedView" }]);
+      }
+      return result(
+        this.tables.has(params.table) ? [{ engine: "MergeTree" }] : []
+      );
+    }
+
+    // getHighestStoredBlock
+    let match = sql.match(
+      /^SELECT MAX\(block_number\) as max_block, COUNT\(\) as block_count FROM (\S+)$/
+    );
+    if (match) {
+      const numbers = blockNumbers(tableName(match[1]));
+      return result([
+        {
+          max_block: numbers.length > 0 ? Math.max(...numbers) : 0,
+          block_count: numbers.length,
+        },
+      ]);
+    }
+
+    // getResumeBlock on tables that predate sync_state
+    match = sql.match(/^SELECT MAX\(block_number\) as max_block FROM (\S+)$/);
+    if (match) {
+      const numbers = blockNumbers(tableName(match[1]));
+      return result([
+        { max_block: numbers.length > 0 ? Math.max(...numbers) : 0 },
+      ]);
+    }
+
+    // BlockHashTracker.load: hashes of the most recent stored blocks
+    match = sql.match(
+      /^SELECT block_number, any\(block_hash\) as block_hash FROM (\S+) WHERE block_number > \( SELECT MAX\(block_number\) FROM \S+ \) - (\d+) GROUP BY block_number$/
+    );
+    if (match) {
+      const rows = this.rows(tableName(match[1]));
+      const highest = Math.max(0, ...rows.map((row) => row.block_number));
+      const hashes = new Map();
+      for (const row of rows) {
+        if (row.block_number > highest - Number(match[2])) {
+          hashes.set(row.block_number, row.block_hash);
+        }
+      }
+      return result(
+        [...hashes].map(([block_number, block_hash]) => ({
+          block_number,
+          block_hash,
+        }))
+      );
+    }
+
+    throw new Error(`MemoryClickHouse does not support query: ${sql}`);
+  }
+
+  async close() {}
+}
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compareText, createClassifier } from "../src/impersonation.js";
+
+const USDC_BASE = "0x833589fcd6edb6e08f4c7c32d4f71b54bda02913";
+const CLONE = `0x${"c".repeat(40)}`;
+
+const registry = {
+  version: 1,
+  assets: [
+    {
+      id: "usdc",
+      symbol: "USDC",
+      name: "USD Coin",
+      aliases: [],
+      deployments: [{ chainId: 8453, address: USDC_BASE, decimals: 6 }],
+    },
+    {
+      id: "usdt",
+      symbol: "USDT",
+      name: "Tether USD",
+      aliases: ["USD\u20ae"],
+      deployments: [
+        { chainId: 1, address: `0x${"d".repeat(40)}`, decimals: 6 },
+      ],
+    },
+  ],
+};
+
+const classify = createClassifier(registry);
+const label = (chain_id, symbol, name, contract_address = CLONE) =>
+  classify({ chain_id, contract_address, name, symbol });
+
+test("tells how a text resembles a canonical one", () => {
+  assert.equal(compareText("USDC", "USDC"), "exact");
+  assert.equal(compareText("US\u200bDC", "USDC"), "zero_width");
+  assert.equal(compareText("USD\u0421", "USDC"), "homoglyph"); // Cyrillic Es
+  assert.equal(compareText("\uff35\uff33\uff24\uff23", "USDC"), "homoglyph"); // fullwidth
+  assert.equal(compareText("UsDc", "USDC"), "case");
+  assert.equal(compareText("U5D.C", "USDC"), "lookalike");
+  assert.equal(compareText("USDC.e", "USDC"), null);
+  assert.equal(compareText("", "USDC"), null);
+});
+
+test("the registered contract is canonical whatever its metadata", () => {
+  assert.deepEqual(label(8453, "USDC", "USD Coin", USDC_BASE.toUpperCase()), {
+    risk_label: "canonical",
+    matched_asset: "usdc",
+    reasons: [],
+  });
+});
+
+test("labels clones by how they copy a registered asset", () => {
+  assert.deepEqual(label(8453, "USDC", "USD Coin"), {
+    risk_label: "impersonation",
+    matched_asset: "usdc",
+    reasons: ["symbol_exact", "name_exact"],
+  });
+  // Zero-width and homoglyph tricks are spoofs wherever they appear
+  assert.equal(label(130, "USD\u200cC", "Coin").risk_label, "spoof");
+  assert.equal(label(8453, "MEME", "U\u0455D Coin").risk_label, "spoof");
+  assert.deepEqual(label(8453, "usdc", "Usd Coin"), {
+    risk_label: "lookalike",
+    matched_asset: "usdc",
+    reasons: ["symbol_case", "name_case"],
+  });
+  // The asset is not registered on chain 130, so the copy may be a bridge
+  assert.equal(label(130, "USDC", "USDC").risk_label, "unverified");
+  assert.equal(label(8453, "DEGEN", "Degen").risk_label, "none");
+});
+
+test("aliases count as the asset's symbol", () => {
+  assert.deepEqual(label(1, "USD\u20ae", "Tether"), {
+    risk_label: "impersonation",
+    matched_asset: "usdt",
+    reasons: ["symbol_exact"],
+  });
+});
+
+test("keeps the most suspicious match", () => {
+  // Name copies USD Coin exactly, symbol spoofs USDT with a Cyrillic T
+  const result = label(1, "USD\u0422", "USD Coin");
+  assert.equal(result.risk_label, "spoof");
+  assert.equal(result.matched_asset, "usdt");
+});
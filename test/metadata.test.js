@@ -0,0 +1,296 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createPublicClient,
+  custom,
+  decodeFunctionData,
+  encodeAbiParameters,
+  encodeFunctionResult,
+  multicall3Abi,
+  stringToHex,
+  toFunctionSelector,
+} from "viem";
+import { MemoryClickHouse } from "./helpers/memory_clickhouse.js";
+import {
+  diffTokenMetadata,
+  findMissingMetadata,
+  MULTICALL3_ADDRESS,
+  recordMetadataFailures,
+  resolveTokenMetadata,
+  sourcedRow,
+  writeTokenMetadata,
+} from "../src/metadata.js";
+
+const STANDARD = `0x${"1".repeat(40)}`;
+const BYTES32 = `0x${"2".repeat(40)}`;
+const NO_NAME = `0x${"3".repeat(40)}`;
+const NOT_A_TOKEN = `0x${"4".repeat(40)}`;
+const HUGE_DECIMALS = `0x${"5".repeat(40)}`;
+
+const string = (value) => encodeAbiParameters([{ type: "string" }], [value]);
+const uint = (value) => encodeAbiParameters([{ type: "uint256" }], [value]);
+const bytes32 = (value) => stringToHex(value, { size: 32 });
+
+// Return data per token and selector; missing entries revert
+const TOKENS = {
+  [STANDARD]: {
+    name: string("USD Coin"),
+    symbol: string("USDC"),
+    decimals: uint(6n),
+  },
+  [BYTES32]: {
+    name: bytes32("Maker"),
+    symbol: bytes32("MKR"),
+    decimals: uint(18n),
+  },
+  [NO_NAME]: { symbol: string("X\u0000\n"), decimals: uint(18n) },
+  [NOT_A_TOKEN]: {},
+  [HUGE_DECIMALS]: {
+    name: string("Odd"),
+    symbol: string("ODD"),
+    decimals: uint(1000n),
+  },
+};
+
+const SELECTORS = Object.fromEntries(
+  ["name", "symbol", "decimals"].map((fn) => [
+    toFunctionSelector(`function ${fn}()`),
+    fn,
+  ])
+);
+
+function callToken(to, data) {
+  const returnData = TOKENS[to.toLowerCase()]?.[SELECTORS[data.slice(0, 10)]];
+  return returnData
+    ? { success: true, returnData }
+    : { success: false, returnData: "0x" };
+}
+
+// Minimal JSON-RPC node answering eth_call, with or without Multicall3
+function fakeNode() {
+  const node = { calls: 0 };
+  node.request = async ({ method, params }) => {
+    if (method === "eth_chainId") return "0x82";
+    if (method !== "eth_call") throw new Error(`Unexpected ${method}`);
+    node.calls++;
+
+    const { to, data } = params[0];
+    if (to.toLowerCase() === MULTICALL3_ADDRESS.toLowerCase()) {
+      const { args } = decodeFunctionData({ abi: multicall3Abi, data });
+      return encodeFunctionResult({
+        abi: multicall3Abi,
+        functionName: "aggregate3",
+        result: args[0].map((call) => callToken(call.target, call.callData)),
+      });
+    }
+
+    const { success, returnData } = callToken(to, data);
+    if (!success) {
+      const error = new Error("execution reverted");
+      error.code = 3;
+      throw error;
+    }
+    return returnData;
+  };
+  return node;
+}
+
+const ADDRESSES = [STANDARD, BYTES32, NO_NAME, NOT_A_TOKEN, HUGE_DECIMALS];
+
+for (const multicallAddress of [MULTICALL3_ADDRESS, null]) {
+  const mode = multicallAddress ? "through Multicall3" : "one call at a time";
+
+  test(`resolves string and bytes32 metadata ${mode}`, async () => {
+    const node = fakeNode();
+    const client = createPublicClient({ transport: custom(node) });
+
+    const { resolved, unresolved } = await resolveTokenMetadata(
+      client,
+      ADDRESSES,
+      { multicallAddress }
+    );
+
+    assert.deepEqual(resolved, [
+      {
+        contract_address: STANDARD,
+        name: "USD Coin",
+        symbol: "USDC",
+        decimals: 6,
+      },
+      { contract_address: BYTES32, name: "Maker", symbol: "MKR", decimals: 18 },
+      // A reverting name is stored empty, control characters are dropped
+      { contract_address: NO_NAME, name: "", symbol: "X", decimals: 18 },
+    ]);
+    assert.deepEqual(unresolved, [NOT_A_TOKEN, HUGE_DECIMALS]);
+  });
+}
+
+test("batches every token into a couple of multicalls", async () => {
+  const node = fakeNode();
+  const client = createPublicClient({ transport: custom(node) });
+
+  await resolveTokenMetadata(client, ADDRESSES, {
+    multicallAddress: MULTICALL3_ADDRESS,
+  });
+
+  // One round for the string ABI, one for the bytes32 retries
+  assert.equal(node.calls, 2);
+});
+
+// Stored rows as readTokenMetadata returns them
+const storedRows = (...rows) =>
+  new Map(rows.map((row) => [row.contract_address, row]));
+
+const token = (contract_address, symbol, decimals = 18) => ({
+  contract_address,
+  name: `${symbol} Token`,
+  symbol,
+  decimals,
+});
+
+test("reports added, changed and removed tokens against the last load", () => {
+  const stored = storedRows(
+    sourcedRow(token(STANDARD, "USDC", 6), "cache", 1),
+    sourcedRow(token(BYTES32, "MKR"), "cache", 1),
+    sourcedRow(token(NO_NAME, "OLD"), "cache", 1)
+  );
+
+  const diff = diffTokenMetadata(
+    stored,
+    [
+      token(STANDARD, "USDC", 6),
+      token(BYTES32, "MKR", 8),
+      token(HUGE_DECIMALS, "NEW"),
+    ],
+    2
+  );
+
+  assert.deepEqual(diff.added, [HUGE_DECIMALS]);
+  assert.deepEqual(diff.changed, [
+    { contract_address: BYTES32, changes: { decimals: [18, 8] } },
+  ]);
+  assert.deepEqual(diff.removed, [NO_NAME]);
+
+  // Unchanged tokens are not rewritten; removed ones keep their values
+  assert.deepEqual(
+    diff.rows.map((row) => [row.contract_address, row.removed, row.version]),
+    [
+      [BYTES32, false, 2],
+      [HUGE_DECIMALS, false, 2],
+      [NO_NAME, true, 2],
+    ]
+  );
+  assert.equal(diff.rows[2].symbol, "OLD");
+});
+
+test("keeps the source of fields the cache does not change", () => {
+  const stored = storedRows(
+    sourcedRow(token(STANDARD, "USDC", 6), "rpc", 1),
+    sourcedRow(token(BYTES32, "MKR"), "legacy", 0)
+  );
+
+  const diff = diffTokenMetadata(
+    stored,
+    [
+      { ...token(STANDARD, "USDC", 6), name: "USD Coin" },
+      token(BYTES32, "MKR"),
+    ],
+    2
+  );
+
+  const [usdc, mkr] = diff.rows;
+  assert.deepEqual(
+    [usdc.name_source, usdc.symbol_source, usdc.decimals_source],
+    ["cache", "rpc", "rpc"]
+  );
+  // Legacy rows matching the file are attributed to it, silently
+  assert.deepEqual(
+    [mkr.name_source, mkr.symbol_source, mkr.decimals_source],
+    ["cache", "cache", "cache"]
+  );
+  assert.deepEqual(diff.added, []);
+  assert.equal(diff.changed.length, 1);
+});
+
+test("never removes tokens that did not come from the cache", () => {
+  const stored = storedRows(sourcedRow(token(STANDARD, "USDC", 6), "rpc", 1), {
+    ...sourcedRow(token(BYTES32, "MKR"), "cache", 1),
+    removed: true,
+  });
+
+  const diff = diffTokenMetadata(stored, [token(BYTES32, "MKR")], 2);
+
+  // A token back in the file counts as added again
+  assert.deepEqual(diff.added, [BYTES32]);
+  assert.deepEqual(diff.removed, []);
+  assert.deepEqual(
+    diff.rows.map((row) => [row.contract_address, row.removed]),
+    [[BYTES32, false]]
+  );
+});
+
+test("writes every chain into the shared token_metadata table", async () => {
+  const clickhouse = new MemoryClickHouse();
+
+  await writeTokenMetadata(
+    clickhouse,
+    8453,
+    [token(STANDARD, "USDC", 6), token(BYTES32, "MKR")].map((row) =>
+      sourcedRow(row, "cache", 1)
+    ),
+    { batchSize: 1 }
+  );
+  await writeTokenMetadata(clickhouse, 130, [
+    sourcedRow(token(STANDARD, "USDC", 6), "rpc", 2),
+  ]);
+
+  assert.equal(clickhouse.inserts.length, 3);
+  assert.deepEqual(
+    clickhouse
+      .rows("token_metadata")
+      .map((row) => [row.chain_id, row.contract_address, row.symbol_source]),
+    [
+      [8453, STANDARD, "cache"],
+      [8453, BYTES32, "cache"],
+      [130, STANDARD, "rpc"],
+    ]
+  );
+});
+
+test("skips contracts that failed to resolve until their retry time", async () => {
+  const clickhouse = new MemoryClickHouse();
+  const transfers = [
+    ...Array(3).fill(NOT_A_TOKEN),
+    ...Array(2).fill(STANDARD),
+    BYTES32,
+  ].map((contract_address) => ({ contract_address }));
+  await clickhouse.insert({
+    table: "db.erc20_transfers_130",
+    values: transfers,
+  });
+  const missing = () => findMissingMetadata(clickhouse, 130, 2);
+
+  // The busiest contract is not a token and takes up the limit
+  assert.deepEqual(await missing(), [NOT_A_TOKEN, STANDARD]);
+
+  await recordMetadataFailures(clickhouse, 130, [NOT_A_TOKEN]);
+  assert.deepEqual(await missing(), [STANDARD, BYTES32]);
+
+  // Each further failure doubles the wait
+  const now = new Date("2025-01-01T00:00:00Z");
+  await recordMetadataFailures(clickhouse, 130, [NOT_A_TOKEN], now);
+  await recordMetadataFailures(clickhouse, 130, [NOT_A_TOKEN], now);
+  assert.deepEqual(
+    clickhouse
+      .rows("token_metadata_failures")
+      .slice(1)
+      .map((row) => [row.attempts, row.retry_after]),
+    [
+      [2, "2025-01-03 00:00:00"],
+      [3, "2025-01-05 00:00:00"],
+    ]
+  );
+
+  // Past its retry time (the last attempt was in 2025) it is tried again
+  assert.deepEqual(await missing(), [NOT_A_TOKEN, STANDARD]);
+});
@@ -0,0 +1,169 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createPublicClient,
+  custom,
+  encodeAbiParameters,
+  toFunctionSelector,
+} from "viem";
+import { loadRegistry } from "../src/registry.js";
+import { buildCandles, quoteAssets, resolvePools } from "../src/prices.js";
+
+const USDC = `0x${"1".repeat(40)}`;
+const DAI = `0x${"2".repeat(40)}`;
+const WETH = `0x${"3".repeat(40)}`;
+const TOKEN = `0x${"4".repeat(40)}`;
+
+const QUOTES = { stablecoins: new Set([USDC, DAI]), wrappedNative: WETH };
+
+// Pools: a deep and a thin WETH/USDC pool (the thin one with tokens in the
+// other order), TOKEN/WETH and USDC/DAI
+const POOLS = {
+  deep: [WETH, USDC],
+  thin: [USDC, WETH],
+  token: [TOKEN, WETH],
+  stable: [USDC, DAI],
+};
+
+// One pool event; price is token1 per token0, amounts are into the pool
+const event = (pool, time, price, amount0 = 0, amount1 = 0) => ({
+  pool_address: pool,
+  token0: POOLS[pool][0],
+  token1: POOLS[pool][1],
+  block_timestamp: `2025-01-01 ${time}`,
+  price,
+  amount0,
+  amount1,
+  is_swap: amount0 !== 0,
+});
+
+const candleOf = (candles, token, bucket) =>
+  candles.find(
+    (candle) =>
+      candle.token_address === token && candle.bucket === `2025-01-01 ${bucket}`
+  );
+
+test("prices the wrapped native token from its deepest stablecoin pool", () => {
+  const { candles, nativeUsd } = buildCandles(
+    [
+      event("deep", "10:05:00", 2000, -1, 2000),
+      // A thin pool quoting WETH at $5000 does not set the price
+      event("thin", "10:10:00", 1 / 5000, 10, -0.002),
+      event("deep", "10:30:00", 2100),
+      event("stable", "10:40:00", 1, 5, -5),
+    ],
+    { quotes: QUOTES, interval: "hour" }
+  );
+
+  assert.deepEqual(candleOf(candles, WETH, "10:00:00"), {
+    token_address: WETH,
+    bucket: "2025-01-01 10:00:00",
+    open: 2000,
+    high: 2100,
+    low: 2000,
+    close: 2100,
+    volume_usd: 2010,
+    swaps: 2,
+    reference_pool: "deep",
+    quote_address: USDC,
+  });
+  assert.equal(nativeUsd, 2100);
+
+  // Stablecoins are pegged at $1 with the volume they were traded for; pools
+  // of two stablecoins are left out
+  const usdc = candleOf(candles, USDC, "10:00:00");
+  assert.deepEqual(
+    [usdc.open, usdc.close, usdc.volume_usd, usdc.swaps],
+    [1, 1, 2010, 2]
+  );
+  assert.equal(candleOf(candles, DAI, "10:00:00"), undefined);
+});
+
+test("converts prices quoted in wrapped native at its latest close", () => {
+  const { candles } = buildCandles(
+    [
+      event("deep", "10:05:00", 2000, -1, 2000),
+      event("deep", "10:30:00", 2100),
+      event("token", "10:20:00", 0.25, 100, -0.5),
+      // No WETH candle at 11:00, so the 10:00 close still applies
+      event("token", "11:15:00", 0.5, 100, -1),
+    ].sort((a, b) => a.block_timestamp.localeCompare(b.block_timestamp)),
+    { quotes: QUOTES, interval: "hour" }
+  );
+
+  const first = candleOf(candles, TOKEN, "10:00:00");
+  assert.deepEqual(
+    [first.close, first.volume_usd, first.quote_address],
+    [0.25 * 2100, 0.5 * 2100, WETH]
+  );
+  assert.equal(candleOf(candles, TOKEN, "11:00:00").close, 0.5 * 2100);
+});
+
+test("carries the wrapped native price over from the previous window", () => {
+  const observations = [event("token", "12:00:30", 0.5, 10, -5)];
+
+  const unpriced = buildCandles(observations, {
+    quotes: QUOTES,
+    interval: "minute",
+  });
+  assert.deepEqual(unpriced, { candles: [], nativeUsd: null });
+
+  const { candles, nativeUsd } = buildCandles(observations, {
+    quotes: QUOTES,
+    interval: "minute",
+    nativeUsd: 1000,
+  });
+  assert.deepEqual(
+    candles.map((candle) => [candle.bucket, candle.close]),
+    [["2025-01-01 12:00:00", 500]]
+  );
+  assert.equal(nativeUsd, 1000);
+});
+
+test("looks up configured stablecoins in the registry", async () => {
+  const registry = await loadRegistry();
+  const quotes = quoteAssets(registry, 8453, ["usdc", "usdt", "dai"], WETH);
+
+  // USDT has no Base deployment in the registry
+  assert.deepEqual(
+    quotes.stablecoins,
+    new Set([
+      "0x833589fcd6edb6e08f4c7c32d4f71b54bda02913",
+      "0x50c5725949a6f0c72e6c4a641f24049a917db0cb",
+    ])
+  );
+  assert.equal(quotes.wrappedNative, WETH);
+  assert.throws(() => quoteAssets(registry, 8453, ["usd"]), /usd/);
+});
+
+test("reads the tokens of each pool and skips other contracts", async () => {
+  const POOL = `0x${"5".repeat(40)}`;
+  const NOT_A_POOL = `0x${"6".repeat(40)}`;
+  const answers = {
+    [toFunctionSelector("function token0()")]: TOKEN,
+    [toFunctionSelector("function token1()")]: WETH,
+  };
+  const node = {
+    request: async ({ method, params }) => {
+      if (method === "eth_chainId") return "0x82";
+      const { to, data } = params[0];
+      if (to.toLowerCase() !== POOL) {
+        const error = new Error("execution reverted");
+        error.code = 3;
+        throw error;
+      }
+      return encodeAbiParameters(
+        [{ type: "address" }],
+        [answers[data.slice(0, 10)]]
+      );
+    },
+  };
+  const client = createPublicClient({ transport: custom(node) });
+
+  const result = await resolvePools(client, [POOL, NOT_A_POOL]);
+
+  assert.deepEqual(result, {
+    resolved: [{ pool_address: POOL, token0: TOKEN, token1: WETH }],
+    unresolved: [NOT_A_POOL],
+  });
+});
@@ -0,0 +1,150 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  isNewRegistryVersion,
+  loadRegistry,
+  queryAssetActivity,
+  registryRows,
+} from "../src/registry.js";
+
+async function registryFile(content) {
+  const dir = await mkdtemp(path.join(tmpdir(), "registry-"));
+  const file = path.join(dir, "registry.json");
+  await writeFile(file, JSON.stringify(content));
+  return file;
+}
+
+const usdc = (deployments) => ({
+  id: "usdc",
+  symbol: "USDC",
+  name: "USD Coin",
+  deployments,
+});
+
+test("the bundled registry is valid", async () => {
+  const { version, assets } = await loadRegistry();
+  assert.ok(version >= 1);
+  assert.ok(assets.some((asset) => asset.id === "usdc"));
+});
+
+test("lowercases addresses and keys deployments by numeric chain", async () => {
+  const file = await registryFile({
+    version: 3,
+    assets: [usdc({ 8453: { address: `0x${"AB".repeat(20)}`, decimals: 6 } })],
+  });
+
+  assert.deepEqual(await loadRegistry(file), {
+    version: 3,
+    assets: [
+      {
+        id: "usdc",
+        symbol: "USDC",
+        name: "USD Coin",
+        aliases: [],
+        deployments: [
+          { chainId: 8453, address: `0x${"ab".repeat(20)}`, decimals: 6 },
+        ],
+      },
+    ],
+  });
+});
+
+test("rejects registries that would be ambiguous", async () => {
+  const address = `0x${"1".repeat(40)}`;
+  const twice = await registryFile({
+    version: 1,
+    assets: [
+      usdc({ 1: { address, decimals: 6 } }),
+      { ...usdc({ 1: { address, decimals: 6 } }), id: "usdc-copy" },
+    ],
+  });
+  await assert.rejects(loadRegistry(twice), /listed twice/);
+
+  const unversioned = await registryFile({ assets: [] });
+  await assert.rejects(loadRegistry(unversioned), /version/);
+
+  const badDecimals = await registryFile({
+    version: 1,
+    assets: [usdc({ 1: { address, decimals: 300 } })],
+  });
+  await assert.rejects(loadRegistry(badDecimals), /invalid decimals/);
+});
+
+test("flattens assets into one row per deployment", () => {
+  const rows = registryRows({
+    version: 2,
+    assets: [
+      {
+        id: "usdc",
+        symbol: "USDC",
+        name: "USD Coin",
+        aliases: [],
+        deployments: [
+          { chainId: 1, address: `0x${"1".repeat(40)}`, decimals: 6 },
+          { chainId: 56, address: `0x${"2".repeat(40)}`, decimals: 18 },
+        ],
+      },
+    ],
+  });
+
+  assert.deepEqual(
+    rows.map((row) => [row.registry_version, row.chain_id, row.decimals]),
+    [
+      [2, 1, 6],
+      [2, 56, 18],
+    ]
+  );
+});
+
+test("stores each registry version once and refuses silent edits", () => {
+  const rows = [
+    {
+      registry_version: 2,
+      asset_id: "usdc",
+      symbol: "USDC",
+      name: "USD Coin",
+      chain_id: 1,
+      contract_address: `0x${"1".repeat(40)}`,
+      decimals: 6,
+    },
+  ];
+  // ClickHouse returns 64-bit integers as strings
+  const stored = rows.map((row) => ({ ...row, chain_id: "1" }));
+
+  assert.equal(isNewRegistryVersion([], rows, 2), true);
+  assert.equal(isNewRegistryVersion(stored, rows, 2), false);
+
+  const edited = [{ ...rows[0], decimals: 18 }];
+  assert.throws(() => isNewRegistryVersion(stored, edited, 2), /bump/);
+  assert.throws(() => isNewRegistryVersion(stored, rows, 1), /older/);
+});
+
+test("asset activity reads every chain's transfer table", async () => {
+  const queries = [];
+  const clickhouse = {
+    query: async (options) => {
+      queries.push(options);
+      return { json: async () => [] };
+    },
+  };
+
+  await queryAssetActivity(clickhouse);
+  await queryAssetActivity(clickhouse, {
+    assetId: "usdc",
+    since: new Date("2025-01-02T03:04:05Z"),
+  });
+
+  assert.match(
+    queries[0].query,
+    /merge\('\w+', '\^erc20_transfers_\[0-9\]\+\$'\)/
+  );
+  assert.deepEqual(queries[0].query_params, {});
+  assert.match(queries[1].query, /r\.asset_id = \{assetId:String\}/);
+  assert.deepEqual(queries[1].query_params, {
+    assetId: "usdc",
+    since: "2025-01-02 03:04:05",
+  });
+});
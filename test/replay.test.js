@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ReplayClient,
+  parseFixture,
+  readFixture,
+  recordStream,
+  serializeFixture,
+} from "../src/replay.js";
+
+const FIXTURE = "test/fixtures/synthetic_130_100-129.json";
+
+const blockNumbers = (res) => res.data.blocks.map((block) => block.number);
+
+async function drain(stream) {
+  const responses = [];
+  for (let res = await stream.recv(); res; res = await stream.recv()) {
+    responses.push(res);
+  }
+  return responses;
+}
+
+test("fixtures round-trip bigints", () => {
+  const fixture = { responses: [{ value: 10n ** 30n, gasUsed: 21000n }] };
+  const parsed = parseFixture(serializeFixture(fixture));
+  assert.deepEqual(parsed, fixture);
+});
+
+test("replays every recorded response in order", async () => {
+  const client = await ReplayClient.fromFile(FIXTURE);
+  const responses = await drain(await client.stream({ fromBlock: 0 }));
+
+  assert.deepEqual(
+    responses.map((res) => res.nextBlock),
+    [110, 120, 130]
+  );
+  assert.equal(await client.getHeight(), 130);
+});
+
+test("starts a stream in the middle of a recorded response", async () => {
+  const client = await ReplayClient.fromFile(FIXTURE);
+  const [first, second, end] = await drain(
+    await client.stream({ fromBlock: 113 })
+  );
+
+  assert.deepEqual(blockNumbers(first), [118]);
+  assert.ok(first.data.logs.every((log) => log.blockNumber >= 113));
+  assert.equal(first.nextBlock, 120);
+  assert.deepEqual(blockNumbers(second), [125]);
+  assert.equal(end, undefined);
+});
+
+test("stops a stream at toBlock", async () => {
+  const client = await ReplayClient.fromFile(FIXTURE);
+  const responses = await drain(
+    await client.stream({ fromBlock: 100, toBlock: 115 })
+  );
+
+  assert.equal(responses.length, 2);
+  assert.equal(responses[1].nextBlock, 115);
+  assert.deepEqual(blockNumbers(responses[1]), [112]);
+});
+
+test("serves recorded, parent and rollback guard hashes from get", async () => {
+  const fixture = await readFixture(FIXTURE);
+  const client = new ReplayClient(fixture);
+  const res = await client.get({ fromBlock: 117, toBlock: 130 });
+  const hashes = new Map(res.data.blocks.map((b) => [b.number, b.hash]));
+
+  const [, second, third] = fixture.responses;
+  const block118 = second.data.blocks[1];
+  assert.equal(hashes.get(118), block118.hash);
+  assert.equal(hashes.get(117), block118.parentHash);
+  assert.equal(hashes.get(119), third.rollbackGuard.firstParentHash);
+  assert.equal(hashes.get(129), third.rollbackGuard.hash);
+  assert.equal(res.nextBlock, 130);
+});
+
+test("records a live stream into a fixture", async () => {
+  const fixture = await readFixture(FIXTURE);
+  let streamedQuery = null;
+  let closed = false;
+  const live = {
+    getHeight: async () => 129,
+    stream: async (query) => {
+      streamedQuery = query;
+      const pending = [...fixture.responses];
+      return {
+        recv: async () => pending.shift() ?? null,
+        close: async () => {
+          closed = true;
+        },
+      };
+    },
+  };
+
+  const recorded = await recordStream(live, 130, { fromBlock: 100 });
+
+  assert.equal(streamedQuery.toBlock, 130);
+  assert.ok(closed);
+  assert.deepEqual(recorded, { ...fixture, height: 129 });
+});
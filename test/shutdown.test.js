@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ChainCollector } from "../src/collector.js";
+import { ReplayClient } from "../src/replay.js";
+import { installSignalHandlers, isShuttingDown } from "../src/shutdown.js";
+import { CHAIN_ID, CHAIN_INFO, FIXTURE, silenceLogs } from "./helpers/chain.js";
+import { MemoryClickHouse } from "./helpers/memory_clickhouse.js";
+
+// A file of its own: once a signal is received the whole process is
+// shutting down
+
+silenceLogs();
+
+test("flushes what was received and stops on a signal", async (t) => {
+  installSignalHandlers();
+
+  // SIGTERM arrives while the second response is being fetched
+  const client = new ReplayClient(FIXTURE);
+  const stream = client.stream.bind(client);
+  t.mock.method(client, "stream", async (query) => {
+    const opened = await stream(query);
+    const recv = opened.recv.bind(opened);
+    let received = 0;
+    opened.recv = async () => {
+      if (++received === 2) process.emit("SIGTERM", "SIGTERM");
+      return recv();
+    };
+    return opened;
+  });
+
+  const clickhouse = new MemoryClickHouse();
+  const collector = new ChainCollector(CHAIN_ID, CHAIN_INFO, clickhouse, {
+    client,
+    verbose: false,
+  });
+  await collector.run();
+
+  assert.equal(isShuttingDown(), true);
+  assert.equal(collector.stats.status, "stopped");
+  assert.deepEqual(
+    clickhouse.rows("sync_state").map((row) => row.next_block),
+    [110]
+  );
+  assert.deepEqual(
+    clickhouse.rows("blocks_130").map((row) => row.block_number),
+    [101, 105]
+  );
+
+  // A collector started during shutdown stops without collecting anything
+  const late = new ChainCollector(CHAIN_ID, CHAIN_INFO, clickhouse, {
+    client: new ReplayClient(FIXTURE),
+    verbose: false,
+  });
+  await late.run();
+  assert.equal(late.stats.status, "stopped");
+  assert.deepEqual(
+    clickhouse.rows("sync_state").map((row) => row.next_block),
+    [110]
+  );
+
+  // A second signal exits at once
+  const exit = t.mock.method(process, "exit", () => {});
+  process.emit("SIGINT", "SIGINT");
+  assert.deepEqual(exit.mock.calls[0].arguments, [1]);
+});
@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { Spool } from "../src/spool.js";
+import { MemoryClickHouse } from "./helpers/memory_clickhouse.js";
+
+const transfer = (block_number) => ({ block_number, value: "1" });
+
+async function spoolIn(t) {
+  const dir = await mkdtemp(path.join(tmpdir(), "spool-"));
+  t.after(() => rm(dir, { recursive: true }));
+  return new Spool(130, "erc20_transfers", dir);
+}
+
+const spooled = async (spool) =>
+  Promise.all((await spool.files()).map((file) => Spool.read(file)));
+
+test("replays spooled batches in block order, checkpointing each", async (t) => {
+  const spool = await spoolIn(t);
+  await spool.write(120, { erc20_transfers_130: [transfer(112)] });
+  await spool.write(110, { erc20_transfers_130: [transfer(101)] });
+
+  const clickhouse = new MemoryClickHouse();
+  assert.equal(await spool.replay(clickhouse, () => {}), 120);
+
+  assert.deepEqual(
+    clickhouse.rows("erc20_transfers_130").map((row) => row.block_number),
+    [101, 112]
+  );
+  assert.deepEqual(
+    clickhouse.rows("sync_state").map((row) => row.next_block),
+    [110, 120]
+  );
+  assert.equal(await spool.hasPending(), false);
+  assert.equal(await spool.replay(clickhouse, () => {}), null);
+});
+
+test("keeps what a failing batch has left and later batches for the next replay", async (t) => {
+  t.mock.method(globalThis, "setTimeout", (callback) => callback());
+  const spool = await spoolIn(t);
+  await spool.write(110, { erc20_transfers_130: [transfer(101)] });
+  await spool.write(120, {
+    erc20_transfers_130: [transfer(112)],
+    erc20_approvals_130: [transfer(112)],
+  });
+  await spool.write(130, { erc20_transfers_130: [transfer(125)] });
+
+  const clickhouse = new MemoryClickHouse();
+  const insert = clickhouse.insert.bind(clickhouse);
+  let down = true;
+  t.mock.method(clickhouse, "insert", async (options) => {
+    if (down && options.table.endsWith("erc20_approvals_130")) {
+      throw new Error("Connection refused");
+    }
+    return insert(options);
+  });
+
+  await assert.rejects(
+    spool.replay(clickhouse, () => {}),
+    /refused/
+  );
+  assert.deepEqual(
+    clickhouse.rows("sync_state").map((row) => row.next_block),
+    [110]
+  );
+  assert.deepEqual(
+    (await spooled(spool)).map(({ header, rowsByTable }) => [
+      header.next_block,
+      Object.keys(rowsByTable),
+    ]),
+    [
+      [120, ["erc20_approvals_130"]],
+      [130, ["erc20_transfers_130"]],
+    ]
+  );
+
+  // Transfers inserted before the failure are not inserted again
+  down = false;
+  assert.equal(await spool.replay(clickhouse, () => {}), 130);
+  assert.deepEqual(
+    clickhouse.rows("erc20_transfers_130").map((row) => row.block_number),
+    [101, 112, 125]
+  );
+});
+
+test("drops spooled rows at and above a fork block", async (t) => {
+  const spool = await spoolIn(t);
+  await spool.write(110, { erc20_transfers_130: [transfer(101)] });
+  await spool.write(120, {
+    erc20_transfers_130: [transfer(112), transfer(118)],
+  });
+  await spool.write(130, { erc20_transfers_130: [transfer(125)] });
+
+  await spool.truncate(115);
+
+  // The batch entirely above the fork is gone, the one across it now ends
+  // at the fork
+  assert.deepEqual(
+    (await spooled(spool)).map(({ header, rowsByTable }) => [
+      header.next_block,
+      rowsByTable.erc20_transfers_130.map((row) => row.block_number),
+    ]),
+    [
+      [110, [101]],
+      [115, [112]],
+    ]
+  );
+});